@@ -0,0 +1,165 @@
+// api/_lib/auth.js
+// API-key authentication, per-minute rate limits and daily quotas.
+//
+// Keys are configured as SHA-256 hashes, never in plain text (create one with
+// scripts/create-api-key.js), in API_KEYS or the JSON file at API_KEYS_FILE:
+//   [{ "id": "oms-backend", "hash": "<sha256 hex>", "rateLimitPerMinute": 120, "dailyQuota": 20000, "debug": false }]
+// Callers send the key as X-Api-Key or "Authorization: Bearer <key>".
+// "debug": true lets the key ask for debug=true responses (prompts and raw LLM output).
+//
+// Every caller needs a key by default; the public pages ask for one and keep it
+// in the browser. ANONYMOUS_DAILY_QUOTA > 0 lets calls carrying an allowed CORS
+// Origin through without a key, limited per IP by ANONYMOUS_RATE_LIMIT_PER_MINUTE
+// and that quota. Only use it for demos: any client can send an Origin header.
+//
+// Counters live in RATE_LIMIT_STORE (default STORE_BACKEND). The memory store is
+// per instance, so use kv in production for limits that hold across instances.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createStore } = require('./stores');
+const { isOriginAllowed } = require('./cors');
+const { log } = require('./logger');
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = Number(process.env.API_DEFAULT_RATE_LIMIT_PER_MINUTE) || 60;
+const DEFAULT_DAILY_QUOTA = Number(process.env.API_DEFAULT_DAILY_QUOTA) || 5000;
+const ANONYMOUS_RATE_LIMIT_PER_MINUTE = Number(process.env.ANONYMOUS_RATE_LIMIT_PER_MINUTE) || 30;
+const ANONYMOUS_DAILY_QUOTA = process.env.ANONYMOUS_DAILY_QUOTA !== undefined && process.env.ANONYMOUS_DAILY_QUOTA !== ''
+    ? Number(process.env.ANONYMOUS_DAILY_QUOTA)
+    : 0;
+
+const store = createStore('ratelimit', process.env.RATE_LIMIT_STORE || process.env.STORE_BACKEND);
+
+let configuredKeys = null;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Parsed once per instance; a broken config means no keys rather than a crash
+function loadKeys() {
+    if (configuredKeys) return configuredKeys;
+    try {
+        const raw = process.env.API_KEYS_FILE ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8') : (process.env.API_KEYS || '[]');
+        const parsed = JSON.parse(raw);
+        configuredKeys = (Array.isArray(parsed) ? parsed : [])
+            .filter(entry => entry && entry.id && /^[0-9a-f]{64}$/i.test(entry.hash || ''))
+            .map(entry => ({ ...entry, hash: entry.hash.toLowerCase() }));
+    } catch (e) {
+        log('error', 'config_error', { message: `API key config could not be read: ${e.message}` });
+        configuredKeys = [];
+    }
+    return configuredKeys;
+}
+
+function readPresentedKey(req) {
+    const headers = req.headers || {};
+    if (headers['x-api-key']) return String(headers['x-api-key']).trim();
+    const match = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// The first X-Forwarded-For entry is whatever the client sent; x-real-ip (set by
+// Vercel) and the last entry (added by the proxy in front of us) are not
+function clientIp(req) {
+    const headers = req.headers || {};
+    const realIp = String(headers['x-real-ip'] || '').trim();
+    const forwarded = String(headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean).pop();
+    return realIp || forwarded || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Returns { client } or { error } for a 401
+function identifyClient(req) {
+    const presented = readPresentedKey(req);
+    if (presented) {
+        const hash = Buffer.from(hashApiKey(presented), 'hex');
+        const entry = loadKeys().find(key => crypto.timingSafeEqual(Buffer.from(key.hash, 'hex'), hash));
+        if (!entry) return { error: "Invalid API key." };
+        return {
+            client: {
+                id: `key:${entry.id}`,
+                rateLimitPerMinute: Number(entry.rateLimitPerMinute) || DEFAULT_RATE_LIMIT_PER_MINUTE,
+                dailyQuota: Number(entry.dailyQuota) || DEFAULT_DAILY_QUOTA,
+                debug: entry.debug === true,
+            },
+        };
+    }
+
+    if (ANONYMOUS_DAILY_QUOTA > 0 && isOriginAllowed(req.headers && req.headers.origin)) {
+        return {
+            client: {
+                id: `anon:${clientIp(req)}`,
+                rateLimitPerMinute: ANONYMOUS_RATE_LIMIT_PER_MINUTE,
+                dailyQuota: ANONYMOUS_DAILY_QUOTA,
+                debug: false,
+            },
+        };
+    }
+
+    return { error: "API key required. Send it as X-Api-Key or Authorization: Bearer <key>." };
+}
+
+function rejectWithRetry(res, retryAfterSeconds, error) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(retryAfterSeconds))));
+    res.status(429).json({ status: "Error", error, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterSeconds)) });
+    return true;
+}
+
+// Returns true when the request was fully answered (401 or 429), like handleCors.
+// cost: quota units the request uses (one per address verified).
+// When the counter store is unreachable the request is let through.
+async function handleAuth(req, res, cost = 1) {
+    const { client, error } = identifyClient(req);
+    if (error) {
+        res.status(401).json({ status: "Error", error });
+        return true;
+    }
+
+    const now = Date.now();
+    const minute = Math.floor(now / 60000);
+    const requests = await store.increment(`rate:${client.id}:${minute}`, 1, 120);
+    res.setHeader('X-RateLimit-Limit', String(client.rateLimitPerMinute));
+    if (requests !== null) {
+        res.setHeader('X-RateLimit-Remaining', String(Math.max(0, client.rateLimitPerMinute - requests)));
+        if (requests > client.rateLimitPerMinute) {
+            return rejectWithRetry(res, ((minute + 1) * 60000 - now) / 1000, `Rate limit of ${client.rateLimitPerMinute} requests per minute exceeded.`);
+        }
+    }
+
+    const day = new Date(now).toISOString().slice(0, 10);
+    const quotaKey = `quota:${client.id}:${day}`;
+    const used = await store.increment(quotaKey, cost, 2 * 24 * 60 * 60);
+    res.setHeader('X-Quota-Limit', String(client.dailyQuota));
+    if (used !== null) {
+        if (used > client.dailyQuota) {
+            // A rejected request should not use up what is left of the quota
+            const refunded = await store.increment(quotaKey, -cost);
+            res.setHeader('X-Quota-Remaining', String(Math.max(0, client.dailyQuota - (refunded === null ? used : refunded))));
+            const midnight = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), new Date(now).getUTCDate() + 1);
+            return rejectWithRetry(res, (midnight - now) / 1000, `Daily quota of ${client.dailyQuota} addresses exceeded (this request needs ${cost}).`);
+        }
+        res.setHeader('X-Quota-Remaining', String(client.dailyQuota - used));
+    }
+
+    req.client = client;
+    return false;
+}
+
+// debug=true (body or query string) asks for the prompts, raw LLM output and trace in
+// the response. Sets req.debug; returns true when the request was answered with a 403
+// because the authenticated client may not use it. Call after handleAuth.
+function handleDebugAccess(req, res) {
+    const body = req.body || {};
+    const query = req.query || {};
+    req.debug = false;
+    if (String(body.debug) !== 'true' && String(query.debug) !== 'true') return false;
+
+    if (!req.client || !req.client.debug) {
+        res.status(403).json({ status: "Error", error: "Debug mode is only available to API keys with debug access." });
+        return true;
+    }
+    req.debug = true;
+    return false;
+}
+
+module.exports = { handleAuth, handleDebugAccess, hashApiKey };
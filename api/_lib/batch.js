@@ -0,0 +1,47 @@
+// api/_lib/batch.js
+// Verifies a list of rows ({ orderId, address, customerName, paymentMode }) a few
+// at a time. Shared by the synchronous batch endpoint and the async job runner.
+// Row results are unformatted response bodies plus orderId; callers apply
+// formatForApiVersion when they send them.
+
+const { verifyAddress } = require('./verify');
+const { runWithContext } = require('./logger');
+
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 5;
+
+// Runs worker over items with at most `limit` in flight, keeping input order
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+    await Promise.all(runners);
+    return results;
+}
+
+async function verifyRow(row, options) {
+    const orderId = row && row.orderId !== undefined ? row.orderId : null;
+
+    if (!row || typeof row !== 'object') {
+        return { orderId, status: "Error", error: "Row must be an object." };
+    }
+
+    const { body } = await verifyAddress(row.address, row.customerName || '', { ...options, paymentMode: row.paymentMode });
+    return { orderId, ...body };
+}
+
+// Each row runs under its own request ID, "<requestId>/<row number>";
+// firstRowNumber numbers rows of a job chunk by their place in the whole job
+async function verifyRows(rows, options, { requestId, firstRowNumber = 1 }) {
+    return mapWithConcurrency(rows, BATCH_CONCURRENCY, (row, index) =>
+        runWithContext({ requestId: `${requestId}/${firstRowNumber + index}` }, () => verifyRow(row, options)));
+}
+
+module.exports = { verifyRows };
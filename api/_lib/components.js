@@ -0,0 +1,42 @@
+// api/_lib/components.js
+// Every parsed address component as one flat, camelCase object for the
+// response, so clients no longer lose H.no., Floor, Colony etc. to addressLine1.
+
+// key: response key; source: key in the parsed (LLM or rules) output
+const COMPONENT_FIELDS = [
+    { key: 'houseNo', source: 'H.no.' },
+    { key: 'flatNo', source: 'Flat No.' },
+    { key: 'plotNo', source: 'Plot No.' },
+    { key: 'roomNo', source: 'Room No.' },
+    { key: 'buildingNo', source: 'Building No.' },
+    { key: 'blockNo', source: 'Block No.' },
+    { key: 'wardNo', source: 'Ward No.' },
+    { key: 'galiNo', source: 'Gali No.' },
+    { key: 'zoneNo', source: 'Zone No.' },
+    { key: 'sector', source: 'Sector' },
+    { key: 'floor', source: 'Floor' },
+    { key: 'houseName', source: 'House Name' },
+    { key: 'buildingName', source: 'Building Name' },
+    { key: 'street', source: 'Street' },
+    { key: 'colony', source: 'Colony' },
+    { key: 'locality', source: 'Locality' },
+    { key: 'landmark', source: 'Landmark' },
+    { key: 'postOffice', source: 'P.O.' },
+    { key: 'tehsil', source: 'Tehsil' },
+    { key: 'district', source: 'DIST.' },
+    { key: 'state', source: 'State' },
+    { key: 'pin', source: 'PIN' },
+];
+
+// verified: final values that replace the parsed ones (India Post geography,
+// the checked PIN, the prefixed landmark), even when empty. Missing components are null.
+function buildComponents(parsedData, verified = {}) {
+    const components = {};
+    COMPONENT_FIELDS.forEach(({ key, source }) => {
+        const value = Object.prototype.hasOwnProperty.call(verified, key) ? verified[key] : parsedData[source];
+        components[key] = value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+    });
+    return components;
+}
+
+module.exports = { COMPONENT_FIELDS, buildComponents };
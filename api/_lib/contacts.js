@@ -0,0 +1,174 @@
+// api/_lib/contacts.js
+// Contact details mixed into the name and address fields: Indian mobile numbers,
+// care-of/relation names ("S/o Ram Lal", "C/o Ramesh") and honorifics ("Mr",
+// "Smt", "श्री"). Each is taken out so it never reaches the address lines, and
+// returned as its own field. Expects ASCII digits (normalizeDigits first).
+
+const { honorifics, careOfRelations } = require('./keywords');
+
+// Not a letter, vowel sign or digit on either side (\b only knows ASCII)
+const bounded = source => `(?<![\\p{L}\\p{M}\\p{N}])(?:${source})(?![\\p{L}\\p{M}\\p{N}])`;
+
+// "Mob:", "Ph. No.", "WhatsApp -", "मोबाइल" in front of a number
+const PHONE_LABEL = `${bounded('mob(?:ile)?|mo|ph(?:one)?|tel(?:ephone)?|contact|call|whats\\s*app|cell|मोबाइल|मो|फ़ोन|फोन')}\\.?\\s*(?:no\\.?|number|#)?\\s*[:.\\-]?\\s*`;
+// A mobile with an optional +91/0091/91-/0 prefix, as 10 digits or grouped 5-5, 3-3-4 or 4-3-3.
+// "91 98765..." with a space is not taken as a prefix, so "Sector 91" keeps its number.
+const MOBILE = '(?:(?:\\+|00)91[\\s-]?|91-?|0)?[6-9](?:\\d{9}|\\d{4}[\\s-]\\d{5}|\\d{2}[\\s-]\\d{3}[\\s-]\\d{4}|\\d{3}[\\s-]\\d{3}[\\s-]\\d{3})';
+
+const LABELLED_MOBILE_REGEX = new RegExp(`${PHONE_LABEL}(${MOBILE})(?![\\d])`, 'giu');
+// Whatever number follows a phone label, for reporting ones that are not valid mobiles
+const LABELLED_NUMBER_REGEX = new RegExp(`${PHONE_LABEL}(\\+?\\d(?:[\\s-]?\\d){6,12})(?!\\d)`, 'giu');
+const MOBILE_REGEX = new RegExp(`(?<![\\d+])${MOBILE}(?!\\d)(?![\\s-]\\d)`, 'gu');
+
+const HONORIFIC_SOURCE = [...honorifics].sort((a, b) => b.length - a.length).join('|');
+// One or more leading titles, "Mr/Mrs" and "Mr." included
+const HONORIFIC_REGEX = new RegExp(`^(?:(?:${HONORIFIC_SOURCE})(?:\\s*/\\s*(?:${HONORIFIC_SOURCE}))*(?:\\.\\s*|\\s+))+`, 'iu');
+
+const RELATION_PATTERNS = careOfRelations.map(({ relation, markers }) => ({
+    relation,
+    regex: new RegExp(`${bounded(markers.join('|'))}\\.?`, 'giu'),
+}));
+// Where a care-of name inside an address ends: a number or the next address word
+const CARE_OF_END_REGEX = new RegExp(`\\d|${bounded('h\\.?\\s*no|house|flat|plot|room|near|opp|behind|vill(?:age)?|vpo|p\\.?\\s*o|post|sector|sec|ward|gali|street|road|lane|block|mohalla|tehsil|dist|मकान|ग्राम|गांव|गाँव')}`, 'iu');
+
+// "+919876543210" for a valid Indian mobile, else null
+function normalizeMobile(text) {
+    let digits = String(text || '').replace(/\D/g, '');
+    if (digits.length === 14 && digits.startsWith('0091')) digits = digits.slice(4);
+    else if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    else if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    if (!/^[6-9]\d{9}$/.test(digits) || /^(\d)\1{9}$/.test(digits)) return null;
+    return `+91${digits}`;
+}
+
+function overlaps(spans, start, end) {
+    return spans.some(span => start < span.end && span.start < end);
+}
+
+// Phone numbers in text: { phones: ['+91...'], invalidPhones: ['12345 678'], spans: [{ start, end }] }.
+// Labelled numbers go with their label; unlabelled ones must be valid mobiles.
+function findPhones(text) {
+    const phones = [];
+    const invalidPhones = [];
+    const spans = [];
+
+    const collect = (regex, onMatch) => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!overlaps(spans, start, end)) {
+                spans.push({ start, end });
+                onMatch(match);
+            }
+        }
+    };
+
+    collect(LABELLED_MOBILE_REGEX, match => {
+        const phone = normalizeMobile(match[1]);
+        if (phone) phones.push(phone);
+        else invalidPhones.push(match[1].trim());
+    });
+    collect(LABELLED_NUMBER_REGEX, match => invalidPhones.push(match[1].trim()));
+    collect(MOBILE_REGEX, match => {
+        const phone = normalizeMobile(match[0]);
+        if (phone) phones.push(phone);
+        else invalidPhones.push(match[0].trim());
+    });
+
+    return { phones: [...new Set(phones)], invalidPhones, spans };
+}
+
+function cleanName(text) {
+    return String(text || '')
+        .replace(/[^\p{L}\p{M}\p{N}_\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Relation markers in text, in order: [{ relation, start, end }] (end: after the marker)
+function findRelationMarkers(text) {
+    const found = [];
+    RELATION_PATTERNS.forEach(({ relation, regex }) => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            found.push({ relation, start: match.index, end: match.index + match[0].length });
+        }
+    });
+    return found.sort((a, b) => a.start - b.start);
+}
+
+// Cuts spans out of text and tidies the commas and spaces left behind
+function removeSpans(text, spans) {
+    let result = text;
+    [...spans].sort((a, b) => b.start - a.start).forEach(({ start, end }) => {
+        result = `${result.slice(0, start)} ${result.slice(end)}`;
+    });
+    return result
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,;])/g, '$1')
+        .replace(/([,;])(?:\s*[,;])+/g, '$1')
+        .replace(/^[\s,;.:\-]+|[\s,;:\-]+$/g, '')
+        .trim();
+}
+
+// Phone numbers and care-of names taken out of a raw address:
+// { address, phones, invalidPhones, careOf: { relation, name } | null }
+function extractAddressContacts(address) {
+    const text = String(address || '');
+    const { phones, invalidPhones, spans } = findPhones(text);
+
+    let careOf = null;
+    findRelationMarkers(text).forEach(marker => {
+        if (overlaps(spans, marker.start, marker.end)) return;
+        // The name runs to the next comma, number or address word ("C/o Ramesh H.No. 12")
+        const rest = text.slice(marker.end);
+        const commaAt = rest.search(/[,;]/);
+        const segment = commaAt === -1 ? rest : rest.slice(0, commaAt);
+        const stopAt = segment.search(CARE_OF_END_REGEX);
+        const nameText = stopAt === -1 ? segment : segment.slice(0, stopAt);
+        const name = cleanName(nameText);
+        if (!name) return;
+
+        spans.push({ start: marker.start, end: marker.end + nameText.length });
+        if (!careOf) careOf = { relation: marker.relation, name: stripHonorifics(name) || name };
+    });
+
+    return { address: removeSpans(text, spans), phones, invalidPhones, careOf };
+}
+
+function stripHonorifics(name) {
+    return name.replace(HONORIFIC_REGEX, '').trim();
+}
+
+// ALL CAPS or all-lowercase Latin names become Title Case; mixed case ("McDonald") is kept
+function titleCase(name) {
+    if (!/[a-z]/i.test(name) || (name !== name.toUpperCase() && name !== name.toLowerCase())) return name;
+    return name.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// The customer name field: { name, phones, invalidPhones, careOf }. Honorifics are
+// dropped; "Ram Kumar S/o Shyam Lal" is name "Ram Kumar" with careOf S/o Shyam Lal.
+function normalizeCustomerName(rawName) {
+    const text = String(rawName || '');
+    const { phones, invalidPhones, spans } = findPhones(text);
+    const withoutPhones = removeSpans(text, spans);
+
+    let careOf = null;
+    let nameText = withoutPhones;
+    const marker = findRelationMarkers(withoutPhones)[0];
+    if (marker) {
+        const relative = stripHonorifics(cleanName(withoutPhones.slice(marker.end)));
+        if (relative) careOf = { relation: marker.relation, name: titleCase(relative) };
+        nameText = withoutPhones.slice(0, marker.start);
+    }
+
+    // A name that is only a title ("Mr") keeps it rather than becoming empty
+    const cleaned = cleanName(nameText);
+    const name = titleCase(stripHonorifics(cleaned) || (marker ? '' : cleaned));
+    return { name: name || null, phones, invalidPhones, careOf };
+}
+
+module.exports = { extractAddressContacts, normalizeCustomerName, normalizeMobile };
@@ -0,0 +1,53 @@
+// api/_lib/cors.js
+// CORS headers and method guard shared by the API endpoints.
+// Allowed browser origins come from CORS_ALLOWED_ORIGINS (comma-separated,
+// "*" for any); the GitHub Pages site is the default.
+
+const DEFAULT_ORIGINS = ['https://pankajbossgu.github.io'];
+
+function getAllowedOrigins() {
+    const configured = (process.env.CORS_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+    return configured.length ? configured : DEFAULT_ORIGINS;
+}
+
+function isOriginAllowed(origin) {
+    if (!origin) return false;
+    const allowed = getAllowedOrigins();
+    return allowed.includes('*') || allowed.includes(origin.replace(/\/+$/, ''));
+}
+
+// Returns true when the request was fully answered (preflight or wrong method).
+// methods: the methods the endpoint serves besides OPTIONS.
+function handleCors(req, res, methods = ['POST']) {
+    const origin = req.headers && req.headers.origin;
+    // Echo the caller's origin only when it is listed; "*" is sent as is and never
+    // with credentials, so no site can make calls with a visitor's cookies
+    if (getAllowedOrigins().includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (isOriginAllowed(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', true);
+    }
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, X-Api-Key, Authorization, X-Request-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining, X-Request-Id');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return true;
+    }
+
+    if (!methods.includes(req.method)) {
+        res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+        res.status(405).json({ status: "Error", error: 'Method Not Allowed' });
+        return true;
+    }
+
+    return false;
+}
+
+module.exports = { handleCors, isOriginAllowed };
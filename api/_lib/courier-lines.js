@@ -0,0 +1,112 @@
+// api/_lib/courier-lines.js
+// Splits a verified address into courier address lines at component
+// boundaries, within each courier's per-line length limit. House numbers and
+// landmarks are never cut; district, state and PIN go in their own fields.
+
+// maxLength: characters per line; lines: how many address lines the courier accepts.
+// Limits follow the couriers' shipment-creation APIs; adjust here if they change.
+const COURIER_PROFILES = {
+    generic: { maxLength: 50, lines: 3 },
+    delhivery: { maxLength: 60, lines: 3 },
+    shiprocket: { maxLength: 80, lines: 3 },
+    bluedart: { maxLength: 30, lines: 3 },
+};
+
+const SEPARATOR = ', ';
+
+function getCourierProfile(name) {
+    const key = String(name || '').toLowerCase().replace(/[\s_-]+/g, '');
+    return Object.prototype.hasOwnProperty.call(COURIER_PROFILES, key) ? { name: key, ...COURIER_PROFILES[key] } : null;
+}
+
+// Ordered address segments. `protect` marks segments that must stay whole.
+// landmarks: formatted landmarks ("Opposite SBI"), each kept whole on its own.
+function buildSegments(components, landmarks, fallbackLine) {
+    const c = components || {};
+    const floor = c.floor && !/floor/i.test(c.floor) ? `${c.floor} Floor` : c.floor;
+    const postOffice = c.postOffice ? c.postOffice.replace(/^p\.?\s*o\.?\s*/i, '') : null;
+
+    const segments = [
+        { text: c.houseNo && `H.No. ${c.houseNo}`, protect: true },
+        { text: c.flatNo && `Flat ${c.flatNo}`, protect: true },
+        { text: c.plotNo && `Plot ${c.plotNo}`, protect: true },
+        { text: c.roomNo && `Room ${c.roomNo}`, protect: true },
+        { text: c.buildingNo && `Bldg ${c.buildingNo}`, protect: true },
+        { text: c.blockNo && `Block ${c.blockNo}`, protect: true },
+        { text: floor },
+        { text: c.houseName },
+        { text: c.buildingName },
+        { text: c.galiNo && `Gali ${c.galiNo}`, protect: true },
+        { text: c.street },
+        { text: c.sector && `Sector ${c.sector}`, protect: true },
+        { text: c.wardNo && `Ward ${c.wardNo}`, protect: true },
+        { text: c.zoneNo && `Zone ${c.zoneNo}`, protect: true },
+        { text: c.colony },
+        { text: c.locality },
+        ...(landmarks || []).map(text => ({ text, protect: true })),
+    ].filter(segment => segment.text && String(segment.text).trim() !== '');
+
+    // The post office often repeats the locality ("Sector 40B" / "Sector 40")
+    const written = segments.map(segment => segment.text.toLowerCase()).join(' ');
+    if (postOffice && !written.includes(postOffice.toLowerCase())) segments.push({ text: `P.O. ${postOffice}` });
+
+    if (segments.length) return segments;
+
+    // No components (e.g. an error row): fall back to the comma-separated formatted line
+    return String(fallbackLine || '').split(',').map(text => ({ text: text.trim() })).filter(segment => segment.text);
+}
+
+// Breaks an unprotected segment that is longer than a line at word boundaries
+function wrapSegment(segment, maxLength) {
+    if (segment.protect || segment.text.length <= maxLength) return [segment];
+    const pieces = [];
+    let current = '';
+    segment.text.split(/\s+/).forEach(word => {
+        const next = current ? `${current} ${word}` : word;
+        if (next.length > maxLength && current) {
+            pieces.push({ text: current });
+            current = word;
+        } else {
+            current = next;
+        }
+    });
+    if (current) pieces.push({ text: current });
+    return pieces;
+}
+
+// Returns { profile, maxLength, addressLine1, addressLine2, addressLine3, overflow }.
+// overflow is true when the address needed more (or longer) lines than the profile allows;
+// the excess is kept on the last line rather than dropped.
+function splitAddressLines(components, landmarks, fallbackLine, profile) {
+    const pieces = buildSegments(components, landmarks, fallbackLine).flatMap(segment => wrapSegment(segment, profile.maxLength));
+
+    const lines = [];
+    let current = '';
+    pieces.forEach(piece => {
+        const next = current ? `${current}${SEPARATOR}${piece.text}` : piece.text;
+        if (next.length > profile.maxLength && current) {
+            lines.push(current);
+            current = piece.text;
+        } else {
+            current = next;
+        }
+    });
+    if (current) lines.push(current);
+
+    let overflow = lines.some(line => line.length > profile.maxLength);
+    if (lines.length > profile.lines) {
+        const kept = lines.slice(0, profile.lines - 1);
+        kept.push(lines.slice(profile.lines - 1).join(SEPARATOR));
+        lines.splice(0, lines.length, ...kept);
+        overflow = true;
+    }
+
+    const result = { profile: profile.name, maxLength: profile.maxLength };
+    for (let i = 0; i < Math.max(profile.lines, 3); i++) {
+        result[`addressLine${i + 1}`] = lines[i] || '';
+    }
+    result.overflow = overflow;
+    return result;
+}
+
+module.exports = { COURIER_PROFILES, getCourierProfile, splitAddressLines };
@@ -0,0 +1,92 @@
+// api/_lib/geocode.js
+// Offline geocoding to approximate coordinates, from bundled data only:
+//   locality    - a named locality in the locality centroids file
+//   post_office - the chosen post office's coordinates in the pincode directory
+//   pincode     - the median of the PIN's post-office coordinates
+// Post-office coordinates come from the pincode directory (imported with its
+// latitude/longitude columns). Locality centroids are optional, in
+// LOCALITY_CENTROIDS_PATH: { "<pin>": { "<locality name>": [lat, lng] } }.
+
+const fs = require('fs');
+const path = require('path');
+const { lookupPin } = require('./pincode-directory');
+const { log } = require('./logger');
+const { normalizeText, stringSimilarity } = require('./text-similarity');
+
+const DEFAULT_LOCALITY_PATH = path.join(__dirname, '..', '_data', 'locality-centroids.json');
+const LOCALITY_SIMILARITY = 0.85;
+const EARTH_RADIUS_KM = 6371;
+
+let localityCentroids = null;
+
+function loadLocalityCentroids() {
+    if (localityCentroids) return localityCentroids;
+
+    const localityPath = process.env.LOCALITY_CENTROIDS_PATH || DEFAULT_LOCALITY_PATH;
+    try {
+        localityCentroids = JSON.parse(fs.readFileSync(localityPath, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') log('error', 'data_file_error', { path: localityPath, error: e.message });
+        localityCentroids = {};
+    }
+    return localityCentroids;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function point(lat, lng, precision) {
+    return { lat: round(lat, 5), lng: round(lng, 5), precision };
+}
+
+// Post offices of the PIN that have coordinates in the directory
+function locatedPostOffices(pin) {
+    const postalData = pin ? lookupPin(pin) : null;
+    if (!postalData) return [];
+    return postalData.PostOfficeList.filter(po => Number.isFinite(po.Latitude) && Number.isFinite(po.Longitude));
+}
+
+// Centroid of a PIN (median, so one mis-keyed office does not drag it away), or null
+function locatePin(pin) {
+    const offices = locatedPostOffices(pin);
+    if (!offices.length) return null;
+    return point(median(offices.map(po => po.Latitude)), median(offices.map(po => po.Longitude)), 'pincode');
+}
+
+// Returns { lat, lng, precision } at the finest level the data allows, or null.
+// localities: candidate names from the address (locality, colony, "Sector 40B").
+function geocode({ pin, postOffice, localities = [] }) {
+    if (!pin) return null;
+
+    const named = loadLocalityCentroids()[pin] || {};
+    for (const locality of localities.filter(Boolean)) {
+        const match = Object.keys(named).find(name =>
+            normalizeText(name) === normalizeText(locality) || stringSimilarity(name, locality) >= LOCALITY_SIMILARITY);
+        if (match && Array.isArray(named[match])) return point(named[match][0], named[match][1], 'locality');
+    }
+
+    const offices = locatedPostOffices(pin);
+    const office = postOffice && offices.find(po => normalizeText(po.Name) === normalizeText(postOffice));
+    if (office) return point(office.Latitude, office.Longitude, 'post_office');
+
+    return locatePin(pin);
+}
+
+// Great-circle distance in km, to one decimal
+function distanceKm(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)), 1);
+}
+
+module.exports = { geocode, locatePin, distanceKm };
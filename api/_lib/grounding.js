@@ -0,0 +1,104 @@
+// api/_lib/grounding.js
+// Post-check on LLM output: every component it returns must come from the raw
+// address or the India Post data for the PIN (numbers from the address only).
+// Anything else was invented, by a hallucination or by instructions smuggled
+// into the address, and is removed. Official names (P.O., Tehsil, DIST., State)
+// are only checked when India Post data is available to check them against.
+
+const { tokenize, stringSimilarity } = require('./text-similarity');
+
+// Number components: their digits must appear in the address as written
+const NUMBER_KEYS = ['H.no.', 'Flat No.', 'Plot No.', 'Room No.', 'Building No.', 'Block No.', 'Ward No.', 'Gali No.', 'Zone No.', 'Sector'];
+// Text components: each word must (fuzzily) appear in the address or the post office data
+const TEXT_KEYS = ['Colony', 'Street', 'Locality', 'Building Name', 'House Name', 'Floor', 'Landmark'];
+const POSTAL_KEYS = ['P.O.', 'Tehsil', 'DIST.', 'State'];
+
+// Words the LLM adds when expanding or correcting ("rd" -> "Road", "1st" -> "First")
+const GENERIC_WORDS = new Set([
+    'road', 'street', 'lane', 'marg', 'path', 'nagar', 'colony', 'sector', 'phase', 'block', 'main', 'cross',
+    'floor', 'ground', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth', 'top',
+    'st', 'nd', 'rd', 'th', 'building', 'tower', 'towers', 'apartment', 'apartments', 'society', 'complex', 'enclave',
+    'village', 'vill', 'mohalla', 'ward', 'gali', 'area', 'extension', 'ext', 'new', 'old', 'east', 'west', 'north', 'south',
+    'near', 'opposite', 'behind', 'tehsil', 'po', 'sub', 'city', 'town',
+]);
+// Landmark nouns (bus stand, school, temple...) are not in the list: a landmark the
+// address never mentions is invented even when it is made only of common words
+
+// Relation words in front of a landmark part of FormattedAddress ("Near Bus Stand")
+const RELATION_PREFIX = /^(?:near|opp(?:osite)?|behind|beside|next\s+to)\.?\s+/i;
+// The label that may precede a number in FormattedAddress ("H.No. 123", "Flat No 4")
+const NUMBER_LABEL = '(?:(?:h(?:ouse)?|flat|plot|room|building|bldg|block|ward|gali|zone)\\.?\\s*(?:no\\.?|number|#)?|sector|sec\\.?|no\\.?|#)\\s*[:\\-]?\\s*';
+
+// A word counts as present when it is close to a word of the source (spelling fixes allowed)
+const WORD_SIMILARITY = 0.7;
+
+function isPresent(token, sourceTokens) {
+    return sourceTokens.some(source => source === token || (!/\d/.test(token) && stringSimilarity(source, token) >= WORD_SIMILARITY));
+}
+
+function isGrounded(valueTokens, sourceTokens) {
+    const specific = valueTokens.filter(token => !GENERIC_WORDS.has(token) && !/^\d+(st|nd|rd|th)$/.test(token));
+    // A value made only of generic words ("Main Road") still needs one of them in the address
+    if (!specific.length) return valueTokens.length === 0 || valueTokens.some(token => isPresent(token, sourceTokens));
+    return specific.every(token => isPresent(token, sourceTokens));
+}
+
+// Returns [{ key, value }] for each component that appears in neither source.
+// options.checkText: false for addresses the LLM translated, whose names may
+// rightly differ from the original words ("लाल किला" -> "Red Fort"); numbers are still checked.
+function findUngroundedComponents(parsedData, address, postalData, options = {}) {
+    const addressNumbers = new Set(String(address).match(/\d+/g) || []);
+    const postOffices = postalData && postalData.PinStatus === 'Success' ? postalData.PostOfficeList : [];
+    const sourceTokens = [
+        ...tokenize(address),
+        ...postOffices.flatMap(po => [po.Name, po.Taluk, po.District, po.State].flatMap(tokenize)),
+    ];
+    const ungrounded = [];
+
+    NUMBER_KEYS.forEach(key => {
+        const value = parsedData[key];
+        if (!value) return;
+        // "40B", "A/25" and "1-26" are grounded when each digit run was typed
+        const numbers = String(value).match(/\d+/g) || [];
+        if (!numbers.every(number => addressNumbers.has(number))) {
+            ungrounded.push({ key, value });
+        }
+    });
+
+    if (options.checkText === false) return ungrounded;
+    const textKeys = postOffices.length ? [...TEXT_KEYS, ...POSTAL_KEYS] : TEXT_KEYS;
+    textKeys.forEach(key => {
+        const value = parsedData[key];
+        if (value && !isGrounded(tokenize(value), sourceTokens)) ungrounded.push({ key, value });
+    });
+
+    return ungrounded;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Drops the ungrounded values from the parsed data and from FormattedAddress (which
+// becomes addressLine1): an invented number goes with its label ("H.No. 123"), an
+// invented name only as a whole part, so "Connaught Place" does not cut into
+// "P.O. Connaught Place"; a part left with no letters or digits is dropped
+function removeComponents(parsedData, components) {
+    const cleaned = { ...parsedData };
+    components.forEach(({ key, value }) => {
+        cleaned[key] = null;
+        if (!cleaned.FormattedAddress) return;
+        const invented = String(value).trim();
+        let parts = cleaned.FormattedAddress.split(',').map(part => part.trim());
+        if (NUMBER_KEYS.includes(key)) {
+            const numberRegex = new RegExp(`(?:(?<!\\p{L})${NUMBER_LABEL})?(?<![\\w/-])${escapeRegex(invented)}(?![\\w/-])`, 'giu');
+            parts = parts.map(part => part.replace(numberRegex, ' ').replace(/\s+/g, ' ').trim());
+        } else {
+            parts = parts.filter(part => part.replace(RELATION_PREFIX, '').toLowerCase() !== invented.toLowerCase());
+        }
+        cleaned.FormattedAddress = parts.filter(part => /[\p{L}\p{N}]/u.test(part)).join(', ');
+    });
+    return cleaned;
+}
+
+module.exports = { findUngroundedComponents, removeComponents, NUMBER_KEYS };
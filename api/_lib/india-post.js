@@ -0,0 +1,148 @@
+// api/_lib/india-post.js
+// India Post PIN lookups, shared by every verification endpoint.
+// Order: offline directory, PIN cache, then api.postalpincode.in.
+
+const pinCache = require('./pin-cache');
+const { lookupPin, findPinsByPlace } = require('./pincode-directory');
+const { normalizeDigits } = require('./indic-text');
+const { log } = require('./logger');
+const { currentTrace } = require('./trace');
+
+const INDIA_POST_API = 'https://api.postalpincode.in/pincode/';
+const INDIA_POST_PLACE_API = 'https://api.postalpincode.in/postoffice/';
+// In-flight lookups, so concurrent rows with the same PIN share one API call
+let pendingLookups = {};
+
+async function fetchIndiaPostData(pin) {
+    try {
+        const response = await fetch(INDIA_POST_API + pin);
+        if (response.status !== 200) {
+            // Transient (rate limit, outage): report the error but do not cache it
+            return { PinStatus: 'Error' };
+        }
+
+        const data = await response.json();
+        const postData = data[0];
+
+        if (postData.Status !== 'Success' || !Array.isArray(postData.PostOffice)) {
+            // India Post says the PIN does not exist; cached on the short negative TTL
+            const notFound = { PinStatus: 'Error' };
+            await pinCache.set(pin, notFound);
+            return notFound;
+        }
+
+        const postOffices = postData.PostOffice.map(po => ({
+            Name: po.Name || '',
+            Taluk: po.Taluk || po.SubDistrict || '',
+            District: po.District || '',
+            State: po.State || ''
+        }));
+
+        const found = {
+            PinStatus: 'Success',
+            PostOfficeList: postOffices,
+        };
+        await pinCache.set(pin, found);
+        return found;
+    } catch (e) {
+        log('error', 'india_post_error', { pin, error: e.message });
+        return { PinStatus: 'Error' };
+    }
+}
+
+// Notes on the running verification's trace where the data came from
+function traced(pin, source, data) {
+    const trace = currentTrace();
+    if (trace) trace.pinLookup(pin, source, data.PinStatus);
+    return data;
+}
+
+async function getIndiaPostData(pin) {
+    const offline = lookupPin(pin);
+    if (offline) return traced(pin, 'directory', offline);
+
+    const cached = await pinCache.get(pin);
+    if (cached) return traced(pin, 'cache', cached);
+
+    if (pendingLookups[pin]) return traced(pin, 'in_flight', await pendingLookups[pin]);
+
+    pendingLookups[pin] = fetchIndiaPostData(pin);
+    try {
+        return traced(pin, 'india_post', await pendingLookups[pin]);
+    } finally {
+        delete pendingLookups[pin];
+    }
+}
+
+// Words that mark the number next to them as a phone number, not a PIN
+const PHONE_CONTEXT_REGEX = /(?:mob(?:ile)?|ph(?:one)?|tel|contact|call|whats\s*app|cell|\+91)\W*$/i;
+const PIN_CONTEXT_REGEX = /(?:pin|pincode|pin\s*code|postal\s*code|zip)\W*$/i;
+// A phone number has at least this many digits (10, or more with a 0/91 prefix)
+const PHONE_MIN_DIGITS = 10;
+
+// Digits in the groups joined to the match by a single space or hyphen ("98765 |432101|");
+// a run that is already a whole phone number on its own is a separate number
+function joinedDigits(run) {
+    const digits = run ? run.replace(/\D/g, '').length : 0;
+    return digits >= PHONE_MIN_DIGITS ? 0 : digits;
+}
+
+// Every 6-digit number that can be a PIN, with its position. Numbers that are
+// part of a phone number ("98765 432101", "+91 987654 3210", "Mob: 987654") are
+// skipped; a shorter number before it is not one ("Sector 15 160015", "sec 40-160036").
+// Native digits count too: "१६००३०" is 160030 (one character per digit, so indexes hold).
+function extractPinCandidates(address) {
+    const text = normalizeDigits(address);
+    const candidates = [];
+    const regex = /(?<!\d)[1-9]\d{5}(?!\d)/g;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+        const before = text.slice(0, match.index);
+        const after = text.slice(match.index + 6);
+
+        if (PHONE_CONTEXT_REGEX.test(before.slice(-15))) continue;
+        // Together with the digit groups joined to it, a phone-length number
+        const left = joinedDigits((before.match(/(?:\d+[\s-])+$/) || [])[0]);
+        const right = joinedDigits((after.match(/^(?:[\s-]\d+)+/) || [])[0]);
+        if (6 + left + right >= PHONE_MIN_DIGITS) continue;
+
+        candidates.push({ pin: match[0], index: match.index, labelled: PIN_CONTEXT_REGEX.test(before.slice(-15)) });
+    }
+    return candidates;
+}
+
+// Prefers a PIN introduced by "PIN"/"Pincode"; otherwise the last candidate,
+// since the PIN conventionally closes an Indian address.
+function extractPin(address) {
+    const candidates = extractPinCandidates(address);
+    if (!candidates.length) return null;
+    const labelled = candidates.find(c => c.labelled);
+    return (labelled || candidates[candidates.length - 1]).pin;
+}
+
+// Up to `limit` PINs for a named place (district, city or post office), from
+// the offline directory, else from India Post's post-office search.
+async function findPinsForPlace(place, state, limit = 5) {
+    const offline = findPinsByPlace(place, state, limit);
+    if (offline.length) return offline;
+
+    try {
+        const response = await fetch(INDIA_POST_PLACE_API + encodeURIComponent(place));
+        if (response.status !== 200) return [];
+        const data = await response.json();
+        const postData = data[0];
+        if (postData.Status !== 'Success' || !Array.isArray(postData.PostOffice)) return [];
+
+        const targetState = String(state || '').toLowerCase();
+        const pins = postData.PostOffice
+            .filter(po => !targetState || String(po.State).toLowerCase() === targetState)
+            .map(po => po.Pincode);
+        return [...new Set(pins)].slice(0, limit);
+    } catch (e) {
+        log('error', 'india_post_error', { place, error: e.message });
+        return [];
+    }
+}
+
+module.exports = { getIndiaPostData, extractPin, extractPinCandidates, findPinsForPlace };
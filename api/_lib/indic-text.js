@@ -0,0 +1,212 @@
+// api/_lib/indic-text.js
+// Addresses typed in Indian scripts: detects the script/language, turns native
+// digits (१६००३०, ੧੬੦੦੩੦, ௧௬௦௦௩௦) into ASCII so PINs and house numbers are
+// read, and romanizes Indic words ("चंडीगढ़" -> "chandigarh") so they can be
+// compared with India Post's English names.
+
+// The Brahmic Unicode blocks share one layout, so one table of offsets from the
+// block start covers all of them. schwaDeletion: the inherent "a" of a final
+// consonant is silent ("नगर" is "nagar", not "nagara").
+const SCRIPTS = [
+    { script: 'Devanagari', base: 0x0900, code: 'hi', name: 'Hindi', schwaDeletion: true },
+    { script: 'Bengali', base: 0x0980, code: 'bn', name: 'Bengali', schwaDeletion: true },
+    { script: 'Gurmukhi', base: 0x0A00, code: 'pa', name: 'Punjabi', schwaDeletion: true },
+    { script: 'Gujarati', base: 0x0A80, code: 'gu', name: 'Gujarati', schwaDeletion: true },
+    { script: 'Oriya', base: 0x0B00, code: 'or', name: 'Odia', schwaDeletion: true },
+    { script: 'Tamil', base: 0x0B80, code: 'ta', name: 'Tamil', schwaDeletion: false },
+    { script: 'Telugu', base: 0x0C00, code: 'te', name: 'Telugu', schwaDeletion: false },
+    { script: 'Kannada', base: 0x0C80, code: 'kn', name: 'Kannada', schwaDeletion: false },
+    { script: 'Malayalam', base: 0x0D00, code: 'ml', name: 'Malayalam', schwaDeletion: false },
+];
+const ARABIC = { script: 'Arabic', code: 'ur', name: 'Urdu' };
+const LATIN = { script: 'Latin', code: 'en', name: 'English' };
+const HINGLISH = { script: 'Latin', code: 'hi-Latn', name: 'Hinglish' };
+
+// Romanized Hindi/Punjabi phrasing that English addresses do not use
+const HINGLISH_MARKERS = /\b(?:ke|ki|ka)\s+(?:paas|pass|pas|samne|saamne|peeche|piche|bagal|andar|upar|nazdeek|najdik)\b|\b(?:wali|wala|waali|vali|wale)\s+gali\b|\b(?:makan|mkan|ghar|gaon|gaaon|pind|mohalla|nazdeek|najdik)\b/i;
+
+// Offsets from the block start, shared by the Brahmic scripts
+const VOWELS = {
+    0x05: 'a', 0x06: 'a', 0x07: 'i', 0x08: 'i', 0x09: 'u', 0x0A: 'u', 0x0B: 'ri', 0x0C: 'l',
+    0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au',
+};
+const VOWEL_SIGNS = {
+    0x3E: 'a', 0x3F: 'i', 0x40: 'i', 0x41: 'u', 0x42: 'u', 0x43: 'ri', 0x44: 'ri',
+    0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au', 0x57: 'au',
+};
+const CONSONANTS = {
+    0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'n',
+    0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'n',
+    0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+    0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+    0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+    0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh',
+    0x35: 'v', 0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+    0x58: 'q', 0x59: 'kh', 0x5A: 'g', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y',
+};
+// Consonant + nukta: "ड़" is "r", "ज़" is "z"
+const NUKTA_FORMS = { 0x15: 'q', 0x16: 'kh', 0x17: 'g', 0x1C: 'z', 0x21: 'r', 0x22: 'rh', 0x2B: 'f', 0x2F: 'y', 0x32: 'l', 0x38: 'sh' };
+const LABIALS = new Set([0x2A, 0x2B, 0x2C, 0x2D, 0x2E]);
+const CANDRABINDU = 0x01, ANUSVARA = 0x02, VISARGA = 0x03, NUKTA = 0x3C, VIRAMA = 0x4D;
+
+// Letters that only some scripts have at an offset: [kind, roman]
+const SCRIPT_EXTRAS = {
+    Bengali: { 0x4E: ['final', 't'], 0x70: ['consonant', 'r'], 0x71: ['consonant', 'w'] },
+    Gurmukhi: { 0x70: ['nasal', 'n'], 0x71: ['skip', ''], 0x72: ['vowel', 'i'], 0x73: ['vowel', 'u'] },
+    Oriya: { 0x71: ['consonant', 'w'] },
+    Malayalam: { 0x7A: ['final', 'n'], 0x7B: ['final', 'n'], 0x7C: ['final', 'r'], 0x7D: ['final', 'l'], 0x7E: ['final', 'l'], 0x7F: ['final', 'k'] },
+};
+
+// Common address words whose English form differs from a letter-by-letter romanization
+const COMMON_WORDS = {
+    // Hindi / Marathi
+    'मकान': 'house', 'घर': 'house', 'नंबर': 'no', 'नम्बर': 'no', 'नं': 'no', 'संख्या': 'no',
+    'फ्लैट': 'flat', 'मंजिल': 'floor', 'मंज़िल': 'floor', 'सेक्टर': 'sector', 'ब्लॉक': 'block',
+    'गली': 'gali', 'रोड': 'road', 'सड़क': 'road', 'मार्ग': 'marg', 'कॉलोनी': 'colony', 'मोहल्ला': 'mohalla',
+    'गांव': 'village', 'गाँव': 'village', 'ग्राम': 'village', 'डाकघर': 'post office', 'पोस्ट': 'post',
+    'तहसील': 'tehsil', 'जिला': 'district', 'ज़िला': 'district', 'जिल्हा': 'district', 'राज्य': 'state',
+    'पिन': 'pin', 'पिनकोड': 'pincode', 'कोड': 'code', 'पता': 'address',
+    'पास': 'near', 'नज़दीक': 'near', 'नजदीक': 'near', 'जवळ': 'near', 'सामने': 'opposite', 'पीछे': 'behind',
+    'के': '', 'की': '', 'का': '', 'में': '', 'वाली': '', 'वाला': '',
+    'मंदिर': 'temple', 'मस्जिद': 'masjid', 'गुरुद्वारा': 'gurudwara', 'स्कूल': 'school', 'अस्पताल': 'hospital',
+    'दिल्ली': 'delhi', 'नई': 'new', 'पंजाब': 'punjab', 'हरियाणा': 'haryana', 'केरल': 'kerala',
+    'बंगाल': 'bengal', 'पश्चिम': 'west', 'कर्नाटक': 'karnataka', 'उत्तराखंड': 'uttarakhand',
+    // Punjabi
+    'ਮਕਾਨ': 'house', 'ਘਰ': 'house', 'ਨੰਬਰ': 'no', 'ਨੰ': 'no', 'ਸੈਕਟਰ': 'sector', 'ਗਲੀ': 'gali', 'ਰੋਡ': 'road',
+    'ਪਿੰਡ': 'village', 'ਡਾਕਖਾਨਾ': 'post office', 'ਤਹਿਸੀਲ': 'tehsil', 'ਜ਼ਿਲ੍ਹਾ': 'district', 'ਜ਼ਿਲਾ': 'district',
+    'ਨੇੜੇ': 'near', 'ਸਾਹਮਣੇ': 'opposite', 'ਪਿੱਛੇ': 'behind', 'ਦੇ': '', 'ਪੰਜਾਬ': 'punjab',
+    // Tamil
+    'வீடு': 'house', 'எண்': 'no', 'தெரு': 'street', 'சாலை': 'road', 'நகர்': 'nagar', 'கிராமம்': 'village',
+    'மாவட்டம்': 'district', 'அருகில்': 'near', 'எதிரில்': 'opposite', 'தமிழ்நாடு': 'tamil nadu',
+    // Bengali
+    'বাড়ি': 'house', 'নম্বর': 'no', 'রাস্তা': 'road', 'গ্রাম': 'village', 'জেলা': 'district', 'কাছে': 'near',
+};
+
+const COMMON_WORD_MAP = new Map(Object.entries(COMMON_WORDS).map(([word, english]) => [word.normalize('NFC'), english]));
+
+const INDIC_WORD_REGEX = /[\u0900-\u0D7F]+/g;
+const INDIC_LETTER_REGEX = /[\u0900-\u0D7F]/;
+
+// Every native decimal digit: Brahmic blocks (offset 0x66) plus Arabic-Indic
+const DIGIT_ZEROS = [...SCRIPTS.map(s => s.base + 0x66), 0x0660, 0x06F0];
+const NATIVE_DIGIT_REGEX = new RegExp(`[${DIGIT_ZEROS.map(zero => `\\u${zero.toString(16).padStart(4, '0')}-\\u${(zero + 9).toString(16).padStart(4, '0')}`).join('')}]`, 'g');
+
+function normalizeDigits(text) {
+    return String(text || '').replace(NATIVE_DIGIT_REGEX, digit => {
+        const code = digit.charCodeAt(0);
+        const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+        return String(code - zero);
+    });
+}
+
+function scriptOf(code) {
+    return SCRIPTS.find(s => code >= s.base && code < s.base + 0x80) || null;
+}
+
+// Letter-by-letter romanization of one word, in the informal spelling Indian
+// place names use in English (long and short vowels are not told apart)
+function romanizeWord(word) {
+    const info = scriptOf(word.charCodeAt(0));
+    if (!info) return word;
+    const extras = SCRIPT_EXTRAS[info.script] || {};
+    const offsets = [...word].map(ch => ch.charCodeAt(0) - info.base);
+
+    // Units: { kind: 'C', text, schwa } for consonants (schwa: still carries the
+    // inherent "a"), { kind: 'V', text } for vowels, { kind: 'X', text } for the rest
+    const units = [];
+    const last = () => units[units.length - 1];
+    const addConsonant = (offset, text) => units.push({ kind: 'C', offset, text, schwa: true });
+
+    offsets.forEach((offset, i) => {
+        const extra = extras[offset];
+        if (offset >= 0x66 && offset <= 0x6F) {
+            units.push({ kind: 'X', text: String(offset - 0x66) });
+        } else if (extra) {
+            const [kind, roman] = extra;
+            if (kind === 'consonant') addConsonant(offset, roman);
+            else if (kind === 'final') units.push({ kind: 'C', offset, text: roman, schwa: false });
+            else if (kind === 'vowel') units.push({ kind: 'V', text: roman });
+            else if (kind === 'nasal') units.push({ kind: 'X', text: LABIALS.has(offsets[i + 1]) ? 'm' : roman });
+        } else if (CONSONANTS[offset]) {
+            addConsonant(offset, CONSONANTS[offset]);
+        } else if (offset === NUKTA) {
+            if (last() && last().kind === 'C' && NUKTA_FORMS[last().offset]) last().text = NUKTA_FORMS[last().offset];
+        } else if (offset === VIRAMA) {
+            if (last() && last().kind === 'C') last().schwa = false;
+        } else if (VOWEL_SIGNS[offset]) {
+            if (last() && last().kind === 'C') last().schwa = false;
+            units.push({ kind: 'V', text: VOWEL_SIGNS[offset] });
+        } else if (VOWELS[offset]) {
+            units.push({ kind: 'V', text: VOWELS[offset] });
+        } else if (offset === ANUSVARA || offset === CANDRABINDU) {
+            units.push({ kind: 'X', text: LABIALS.has(offsets[i + 1]) ? 'm' : 'n' });
+        } else if (offset === VISARGA) {
+            units.push({ kind: 'X', text: 'h' });
+        }
+    });
+
+    if (info.schwaDeletion) {
+        const hasVowel = index => units[index] && ((units[index].kind === 'C' && units[index].schwa) || units[index].kind === 'V');
+        const voicedAfter = index => units[index] && units[index].kind === 'C' && (units[index].schwa || (units[index + 1] && units[index + 1].kind === 'V'));
+        const end = units.length - 1;
+        // Final schwa is silent after a single consonant ("nagar"), kept after a
+        // cluster ("maharashtra") or when it is the word's only vowel ("ka")
+        if (units[end] && units[end].kind === 'C' && units[end].schwa &&
+            !(units[end - 1] && units[end - 1].kind === 'C' && !units[end - 1].schwa) &&
+            units.slice(0, end).some((unit, index) => hasVowel(index))) {
+            units[end].schwa = false;
+        }
+        // Medial schwa between vowel+consonant and consonant+vowel is silent too
+        // ("dehradun", "amritsar"), decided right to left
+        for (let i = end - 1; i >= 1; i--) {
+            if (units[i].kind === 'C' && units[i].schwa && hasVowel(i - 1) && voicedAfter(i + 1)) units[i].schwa = false;
+        }
+    }
+
+    return units.map(unit => unit.text + (unit.kind === 'C' && unit.schwa ? 'a' : '')).join('');
+}
+
+// Romanizes every Indic word in the text; Latin text and punctuation are kept
+function romanizeIndic(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .replace(INDIC_WORD_REGEX, word => (COMMON_WORD_MAP.has(word) ? COMMON_WORD_MAP.get(word) : romanizeWord(word)))
+        .replace(/ {2,}/g, ' ');
+}
+
+function hasIndicText(text) {
+    return INDIC_LETTER_REGEX.test(String(text || ''));
+}
+
+// Returns { code, name, script, scripts } for the script with the most letters.
+// Devanagari is reported as Hindi (Marathi when it uses "ळ"), Bengali script as
+// Bengali (Assamese when it uses "ৰ"/"ৱ"); Latin text with Hindi phrasing as Hinglish.
+function detectLanguage(text) {
+    const counts = new Map();
+    [...String(text || '')].forEach(ch => {
+        const code = ch.charCodeAt(0);
+        const info = scriptOf(code);
+        let script = null;
+        if (info && !(code - info.base >= 0x66 && code - info.base <= 0x6F)) script = info.script;
+        else if (/[a-z]/i.test(ch)) script = LATIN.script;
+        else if (code >= 0x0600 && code <= 0x06FF && !(code >= 0x0660 && code <= 0x0669) && !(code >= 0x06F0)) script = ARABIC.script;
+        if (script) counts.set(script, (counts.get(script) || 0) + 1);
+    });
+
+    const scripts = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([script]) => script);
+    if (!scripts.length) return { code: 'und', name: 'Unknown', script: null, scripts };
+
+    const primary = scripts[0];
+    let language;
+    if (primary === LATIN.script) language = HINGLISH_MARKERS.test(text) ? HINGLISH : LATIN;
+    else if (primary === ARABIC.script) language = ARABIC;
+    else language = SCRIPTS.find(s => s.script === primary);
+
+    let { code, name } = language;
+    if (primary === 'Devanagari' && /ळ/.test(text)) ({ code, name } = { code: 'mr', name: 'Marathi' });
+    if (primary === 'Bengali' && /[ৰৱ]/.test(text)) ({ code, name } = { code: 'as', name: 'Assamese' });
+
+    return { code, name, script: primary, scripts };
+}
+
+module.exports = { detectLanguage, normalizeDigits, romanizeIndic, hasIndicText };
@@ -0,0 +1,234 @@
+// api/_lib/jobs.js
+// Asynchronous verification jobs. A job is created with up to JOB_MAX_ROWS rows,
+// verified a chunk at a time, and its results read back in pages; when it has a
+// webhookUrl, completion is POSTed there (signed, see webhooks.js) and retried
+// with exponential backoff until it is accepted or WEBHOOK_MAX_ATTEMPTS is reached.
+//
+// State lives in JOB_STORE (default STORE_BACKEND): the job record, its input
+// rows and its results, one key per chunk, all expiring JOB_TTL_SECONDS after
+// the last update. Use kv in production, since every instance has its own
+// memory store; the file store is for local runs and tests.
+//
+// Work happens in advanceJob(), called when a job is created (a first slice before
+// the 202 is sent, the rest after it), when it is polled and by the worker endpoint.
+// The worker cron only catches up on jobs nobody polls and on webhook retries, so
+// jobs do not depend on how often the hosting plan lets it run. A short-lived lease keeps two invocations off the
+// same job; progress is saved after every chunk, so a job whose invocation was
+// stopped resumes at the chunk it was on.
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { verifyRows } = require('./batch');
+const { sendWebhook } = require('./webhooks');
+const { log } = require('./logger');
+
+const MAX_JOB_ROWS = Number(process.env.JOB_MAX_ROWS) || 5000;
+const JOB_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS) || 7 * 24 * 60 * 60;
+// Rows verified between saves; also the size of each stored rows/results entry
+const CHUNK_SIZE = 50;
+// Time one invocation spends on a job before leaving the rest for the next one
+const RUN_SECONDS = Number(process.env.JOB_RUN_SECONDS) || 45;
+// Longer than a run plus its last chunk, so a live run never loses its lease
+const LEASE_SECONDS = RUN_SECONDS * 2 + 60;
+// Part of the run spent before a new job's 202 is sent: a platform may stop the
+// function once it has replied, so small jobs finish within this slice
+const SUBMIT_RUN_SECONDS = Math.min(Number(process.env.JOB_SUBMIT_RUN_SECONDS) || 10, RUN_SECONDS);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Delay before the second attempt; doubled for each one after it (30s, 1m, 2m, 4m, 8m)
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+
+const store = createStore('jobs', process.env.JOB_STORE || process.env.STORE_BACKEND);
+
+const jobKey = id => `job:${id}`;
+const rowsKey = (id, chunk) => `rows:${id}:${chunk}`;
+const resultsKey = (id, chunk) => `results:${id}:${chunk}`;
+// IDs of jobs with work left (rows or a webhook delivery), for the worker endpoint
+const ACTIVE_KEY = 'active';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The job as callers see it (status responses and the webhook payload)
+function describeJob(job) {
+    return {
+        id: job.id,
+        status: job.status, // "queued", "running" or "completed"
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt,
+        totalRows: job.totalRows,
+        processedRows: job.processedRows,
+        succeeded: job.succeeded,
+        failed: job.failed,
+        options: job.options,
+        webhook: job.webhook, // { url, status: pending | delivered | failed, attempts, lastError, nextAttemptAt, deliveredAt } or null
+        resultsUrl: `/api/job-results?id=${encodeURIComponent(job.id)}`,
+    };
+}
+
+async function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    await store.set(jobKey(job.id), job, JOB_TTL_SECONDS);
+}
+
+// Read-modify-write of the active list: not atomic, so with concurrent creations
+// an ID can be lost from it; that job still finishes through its own invocation and polls
+async function setActive(id, active) {
+    const ids = (await store.get(ACTIVE_KEY)) || [];
+    const next = active ? [...new Set([...ids, id])] : ids.filter(other => other !== id);
+    if (next.length !== ids.length) await store.set(ACTIVE_KEY, next);
+}
+
+// Stores a new job. rows: 1..MAX_JOB_ROWS of [{ orderId, address, customerName, paymentMode }]
+// (each row is validated when it is verified); options: { courierProfile, warehousePin };
+// webhookUrl: a validated URL or null.
+async function createJob({ rows, options, webhookUrl, clientId }) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        clientId,
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+        totalRows: rows.length,
+        processedRows: 0,
+        succeeded: 0,
+        failed: 0,
+        chunkCount: Math.ceil(rows.length / CHUNK_SIZE),
+        nextChunk: 0,
+        options,
+        webhook: webhookUrl ? { url: webhookUrl, status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, deliveredAt: null } : null,
+    };
+
+    for (let chunk = 0; chunk < job.chunkCount; chunk++) {
+        await store.set(rowsKey(job.id, chunk), rows.slice(chunk * CHUNK_SIZE, (chunk + 1) * CHUNK_SIZE), JOB_TTL_SECONDS);
+    }
+    await saveJob(job);
+    await setActive(job.id, true);
+    log('info', 'job_created', { jobId: job.id, rows: job.totalRows, webhook: Boolean(webhookUrl) });
+    return job;
+}
+
+// The job, when it exists and belongs to clientId
+async function getJob(id, clientId) {
+    if (typeof id !== 'string' || !id) return null;
+    const job = await store.get(jobKey(id));
+    return job && job.clientId === clientId ? job : null;
+}
+
+// Results of rows offset..offset+limit-1 that have been verified so far, in row order
+async function getJobResults(job, offset, limit) {
+    const end = Math.min(offset + limit, job.processedRows);
+    const results = [];
+    for (let chunk = Math.floor(offset / CHUNK_SIZE); chunk * CHUNK_SIZE < end; chunk++) {
+        const stored = (await store.get(resultsKey(job.id, chunk))) || [];
+        stored.forEach((result, index) => {
+            const row = chunk * CHUNK_SIZE + index;
+            if (row >= offset && row < end) results.push(result);
+        });
+    }
+    return results;
+}
+
+async function runChunk(job) {
+    const chunk = job.nextChunk;
+    const firstRow = chunk * CHUNK_SIZE;
+    const rowCount = Math.min(CHUNK_SIZE, job.totalRows - firstRow);
+    const rows = await store.get(rowsKey(job.id, chunk));
+
+    const results = rows
+        ? await verifyRows(rows, job.options, { requestId: job.id, firstRowNumber: firstRow + 1 })
+        : Array.from({ length: rowCount }, () => ({ orderId: null, status: "Error", error: "The row data for this job is no longer stored." }));
+
+    await store.set(resultsKey(job.id, chunk), results, JOB_TTL_SECONDS);
+    await store.delete(rowsKey(job.id, chunk));
+
+    job.nextChunk = chunk + 1;
+    job.processedRows = firstRow + results.length;
+    job.succeeded += results.filter(result => result.status === 'Success').length;
+    job.failed += results.filter(result => result.status !== 'Success').length;
+    job.status = job.nextChunk >= job.chunkCount ? 'completed' : 'running';
+    if (job.status === 'completed') {
+        job.completedAt = new Date().toISOString();
+        if (job.webhook) job.webhook.nextAttemptAt = job.completedAt;
+        log('info', 'job_completed', { jobId: job.id, rows: job.totalRows, succeeded: job.succeeded, failed: job.failed });
+    }
+    await saveJob(job);
+    return job;
+}
+
+// Sends the completion webhook while attempts are due, waiting out backoff delays
+// that end before the deadline; later attempts are left for a later invocation
+async function deliverWebhook(job, deadline) {
+    const webhook = job.webhook;
+    while (webhook.status === 'pending' && Date.parse(webhook.nextAttemptAt) <= Date.now()) {
+        const outcome = await sendWebhook(webhook.url, job.id, { event: 'job.completed', job: describeJob(job) });
+        webhook.attempts++;
+        if (outcome.ok) {
+            webhook.status = 'delivered';
+            webhook.deliveredAt = new Date().toISOString();
+            webhook.lastError = null;
+            webhook.nextAttemptAt = null;
+        } else if (webhook.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            webhook.status = 'failed';
+            webhook.lastError = outcome.error;
+            webhook.nextAttemptAt = null;
+        } else {
+            webhook.lastError = outcome.error;
+            webhook.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (webhook.attempts - 1)).toISOString();
+        }
+        log(outcome.ok ? 'info' : 'warn', 'webhook_attempt', { jobId: job.id, attempt: webhook.attempts, status: webhook.status, error: outcome.error });
+        await saveJob(job);
+
+        const wait = webhook.nextAttemptAt ? Date.parse(webhook.nextAttemptAt) - Date.now() : null;
+        if (webhook.status === 'pending' && Date.now() + wait < deadline) await sleep(Math.max(0, wait));
+    }
+}
+
+// Verifies the job's remaining chunks and delivers its webhook, for up to
+// runSeconds. Returns the job, or null when it does not exist or another
+// invocation holds its lease.
+async function advanceJob(id, runSeconds = RUN_SECONDS) {
+    const deadline = Date.now() + runSeconds * 1000;
+    if (!(await store.acquire(`lease:${id}`, LEASE_SECONDS))) return null;
+
+    try {
+        let job = await store.get(jobKey(id));
+        if (!job) {
+            await setActive(id, false);
+            return null;
+        }
+        while (job.status !== 'completed' && Date.now() < deadline) {
+            job = await runChunk(job);
+        }
+        if (job.status === 'completed' && job.webhook) await deliverWebhook(job, deadline);
+        if (job.status === 'completed' && (!job.webhook || job.webhook.status !== 'pending')) await setActive(id, false);
+        return job;
+    } catch (e) {
+        log('error', 'job_error', { jobId: id, error: e });
+        return null;
+    } finally {
+        await store.delete(`lease:${id}`);
+    }
+}
+
+// Advances every job with work left, oldest first, within one run's time budget
+async function advanceActiveJobs(runSeconds = RUN_SECONDS) {
+    const deadline = Date.now() + runSeconds * 1000;
+    const ids = (await store.get(ACTIVE_KEY)) || [];
+    let advanced = 0;
+    for (const id of ids) {
+        const remaining = (deadline - Date.now()) / 1000;
+        if (remaining <= 0) break;
+        if (await advanceJob(id, remaining)) advanced++;
+    }
+    return { active: ids.length, advanced };
+}
+
+// True when advanceJob() has something to do now
+function hasPendingWork(job) {
+    if (job.status !== 'completed') return true;
+    return Boolean(job.webhook && job.webhook.status === 'pending' && Date.parse(job.webhook.nextAttemptAt) <= Date.now());
+}
+
+module.exports = { MAX_JOB_ROWS, RUN_SECONDS, SUBMIT_RUN_SECONDS, createJob, getJob, getJobResults, describeJob, advanceJob, advanceActiveJobs, hasPendingWork };
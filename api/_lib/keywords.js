@@ -0,0 +1,84 @@
+// api/_lib/keywords.js
+// Word lists shared by the verification pipeline and the rule-based parser.
+
+const testingKeywords = ['test', 'testing', 'asdf', 'qwer', 'zxcv', 'random', 'gjnj', 'fgjnj']; 
+const coreMeaningfulWords = [
+    "ddadu", "ddadu", "ai", "add", "add-", "raw", "dumping", "grand", "dumping grand",
+    "chd", "chd-", "chandigarh", "chandigarh-", "chandigarh", "west", "sector", "sector-",
+    "house", "no", "no#", "house no", "house no#", "floor", "first", "first floor",
+    "majra", "colony", "dadu", "dadu majra", "shop", "wine", "wine shop", "house", "number",
+    "tq", "job", "dist"
+];
+
+// The same filler in Indian scripts (house, number, address, district, tehsil);
+// longer phrases first so "मकान नंबर" goes as a whole
+const nativeMeaningfulWords = [
+    "मकान नंबर", "मकान नं", "मकान", "नंबर", "नम्बर", "नं", "पता", "जिला", "ज़िला", "तहसील",
+    "ਮਕਾਨ ਨੰਬਰ", "ਮਕਾਨ", "ਨੰਬਰ", "ਨੰ", "ਪਤਾ", "ਜ਼ਿਲ੍ਹਾ", "ਤਹਿਸੀਲ",
+    "வீடு எண்", "எண்", "முகவரி", "மாவட்டம்",
+    "বাড়ি নম্বর", "নম্বর", "ঠিকানা", "জেলা"
+].map(word => word.normalize('NFC'));
+
+// Combine both lists for comprehensive cleanup
+const meaningfulWords = [...coreMeaningfulWords, ...testingKeywords];
+
+// \b only knows ASCII letters, so the native words are bounded by "not a letter or vowel sign"
+const meaninglessRegex = new RegExp(
+    `\\b(?:${meaningfulWords.join('|')})\\b|(?<![\\p{L}\\p{M}])(?:${nativeMeaningfulWords.join('|')})(?![\\p{L}\\p{M}])`,
+    'giu'
+);
+
+// Directional words for landmarks, as regex sources matched at word boundaries.
+// before: the word comes first ("Opp SBI"); after: Hindi/Punjabi/Tamil
+// postpositions that follow the landmark ("mandir ke paas", "गुरुद्वारा के पीछे").
+const landmarkRelations = [
+    {
+        relation: 'opposite',
+        before: ['opp(?:osite)?\\.?(?:\\s+(?:to|of))?', 'oppo\\.?'],
+        after: ['ke\\s+(?:samne|saamne|samane)', 'के\\s+सामने', 'ਦੇ\\s+ਸਾਹਮਣੇ', 'எதிரில்']
+    },
+    {
+        relation: 'behind',
+        before: ['behind', 'back\\s*side(?:\\s+of)?', '(?:at\\s+the\\s+)?back\\s+of'],
+        after: ['ke\\s+(?:peeche|piche|pichhe)', 'के\\s+पीछे', 'ਦੇ\\s+ਪਿੱਛੇ', 'பின்புறம்']
+    },
+    {
+        relation: 'in front of',
+        before: ['in\\s*front\\s+of', 'front\\s*side(?:\\s+of)?'],
+        after: ['ke\\s+(?:aage|age)', 'के\\s+आगे', 'ਦੇ\\s+ਅੱਗੇ']
+    },
+    {
+        relation: 'next to',
+        before: ['next\\s+to', 'beside[s]?', 'by\\s+the\\s+side\\s+of'],
+        after: ['ke\\s+bagal(?:\\s+(?:mein|me|main))?', 'के\\s+बगल(?:\\s+में)?', 'ਦੇ\\s+ਨਾਲ']
+    },
+    {
+        relation: 'adjacent to',
+        before: ['adjacent(?:\\s+to)?', 'adj\\.?'],
+        after: []
+    },
+    {
+        relation: 'near',
+        before: ['near(?:\\s+(?:to|by))?', 'nearby', 'nr\\.?', 'close\\s+to'],
+        after: ['ke\\s+(?:paas|pass|pas|nazdeek|najdik|nazdik)', 'के\\s+(?:पास|नज़दीक|नजदीक)', 'ਦੇ\\s+(?:ਨੇੜੇ|ਕੋਲ)', 'அருகில்', 'কাছে']
+    }
+];
+
+// Titles stripped from the start of customer names (English and Indian scripts)
+const honorifics = [
+    'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'er', 'adv', 'capt', 'col', 'master', 'late',
+    'shri', 'sri', 'shree', 'sh', 'smt', 'shrimati', 'kumari', 'km', 'sushri',
+    'श्री', 'श्रीमती', 'सुश्री', 'कुमारी', 'डॉ', 'डा', 'ਸ੍ਰੀ', 'ਸ਼੍ਰੀਮਤੀ', 'ਡਾ', 'திரு', 'திருமதி', 'ಶ್ರೀ', 'শ্রী', 'শ্রীমতী',
+];
+
+// Relation markers written before a relative's or care-of name ("S/o Ram Lal",
+// "C/o Ramesh", "पुत्र श्याम लाल"), as regex sources matched at word boundaries.
+// Dotted "S.O." is left out: in addresses it is a postal Sub Office.
+const careOfRelations = [
+    { relation: 'S/o', markers: ['s\\s*/\\s*o', 'son\\s+of', 'पुत्र', 'ਪੁੱਤਰ'] },
+    { relation: 'D/o', markers: ['d\\s*/\\s*o', 'daughter\\s+of', 'पुत्री', 'ਪੁੱਤਰੀ'] },
+    { relation: 'W/o', markers: ['w\\s*/\\s*o', 'wife\\s+of', 'पत्नी', 'ਪਤਨੀ'] },
+    { relation: 'C/o', markers: ['c\\s*/\\s*o', 'care\\s+of', 'द्वारा'] },
+];
+
+module.exports = { meaninglessRegex, landmarkRelations, honorifics, careOfRelations };
@@ -0,0 +1,109 @@
+// api/_lib/landmarks.js
+// Landmarks as { relation, name } pairs, each with the directional word the
+// customer wrote for it: "Opp SBI, behind Gurudwara" is
+// [{ relation: 'opposite', name: 'SBI' }, { relation: 'behind', name: 'Gurudwara' }].
+// Directional words are matched at word boundaries, so "shopping" is not "opp".
+
+const { landmarkRelations } = require('./keywords');
+const { tokenize, tokenCoverage } = require('./text-similarity');
+
+const DEFAULT_RELATION = 'near';
+
+// Not a letter, vowel sign or digit on either side (\b only knows ASCII)
+const wordBounded = source => new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${source.normalize('NFC')})(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+
+const RELATION_PATTERNS = landmarkRelations.flatMap(({ relation, before, after }) => [
+    ...before.map(source => ({ relation, position: 'before', regex: wordBounded(source) })),
+    ...after.map(source => ({ relation, position: 'after', regex: wordBounded(source) })),
+]);
+
+function cleanName(text) {
+    return String(text || '')
+        .replace(/^[\s,.\-:;#&]+|[\s,.\-:;#&]+$/g, '')
+        .replace(/^(?:the|a)\s+/i, '')
+        .replace(/\s+(?:and|&)$/i, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Directional words in one comma-free piece of text, in order, without overlaps
+function findRelationWords(text) {
+    const found = [];
+    RELATION_PATTERNS.forEach(({ relation, position, regex }) => {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            found.push({ relation, position, start: match.index, end: match.index + match[0].length });
+        }
+    });
+    found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    return found.filter((word, i) => !found.slice(0, i).some(other => word.start < other.end && other.start < word.end));
+}
+
+// Landmarks mentioned in raw text: [{ relation, name, start, end }], where
+// start/end span the directional word and the name within `text`.
+// A "before" word takes the text up to the next directional word; an "after"
+// word takes the text since the previous one, unless a "before" word claimed it.
+function findLandmarkMentions(text) {
+    const source = String(text || '').normalize('NFC');
+    const mentions = [];
+    let offset = 0;
+
+    source.split(/([,;\n]+)/).forEach(piece => {
+        const words = findRelationWords(piece);
+        words.forEach((word, i) => {
+            const previous = words[i - 1];
+            const next = words[i + 1];
+            if (word.position === 'before') {
+                const end = next ? next.start : piece.length;
+                const name = cleanName(piece.slice(word.end, end));
+                if (name) mentions.push({ relation: word.relation, name, start: offset + word.start, end: offset + end });
+            } else if (!previous || previous.position === 'after') {
+                const start = previous ? previous.end : 0;
+                const name = cleanName(piece.slice(start, word.start));
+                if (name) mentions.push({ relation: word.relation, name, start: offset + start, end: offset + word.end });
+            }
+        });
+        offset += piece.length;
+    });
+    return mentions;
+}
+
+// Pairs each landmark name (the LLM's or the rule parser's comma-separated list)
+// with the directional word written next to it in the raw address; "near" when none was.
+function buildLandmarks(landmarkText, address) {
+    const mentions = findLandmarkMentions(address);
+    const landmarks = [];
+
+    String(landmarkText || '').split(/[,;]+/).map(cleanName).filter(Boolean).forEach(text => {
+        // The LLM is told to drop direction words, but may leave one on ("Opp SBI")
+        const own = findLandmarkMentions(text)[0];
+        const name = own ? own.name : text;
+
+        const nameTokens = tokenize(name);
+        let relation = own ? own.relation : null;
+        if (!relation) {
+            let bestScore = 0;
+            mentions.forEach(mention => {
+                const score = tokenCoverage(nameTokens, tokenize(mention.name));
+                if (score > bestScore) {
+                    bestScore = score;
+                    relation = mention.relation;
+                }
+            });
+            if (bestScore < 0.5) relation = null;
+        }
+
+        if (!landmarks.some(landmark => landmark.name.toLowerCase() === name.toLowerCase())) {
+            landmarks.push({ relation: relation || DEFAULT_RELATION, name });
+        }
+    });
+    return landmarks;
+}
+
+// "Opposite SBI"
+function formatLandmark({ relation, name }) {
+    return `${relation.charAt(0).toUpperCase()}${relation.slice(1)} ${name}`;
+}
+
+module.exports = { findLandmarkMentions, buildLandmarks, formatLandmark };
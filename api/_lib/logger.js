@@ -0,0 +1,59 @@
+// api/_lib/logger.js
+// Structured logs: one JSON object per line, { time, level, event, requestId, ... }.
+// The request ID (and the verification trace, see trace.js) is kept in
+// AsyncLocalStorage for the duration of a request, so library code such as the
+// LLM providers or the India Post client logs against the right request without
+// passing the ID around. LOG_LEVEL=debug|info|warn|error (default info).
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').trim().toLowerCase()] || LEVELS.info;
+// A caller's own X-Request-Id is kept when it looks like an ID, not free text
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,64}$/;
+
+const storage = new AsyncLocalStorage();
+
+function getContext() {
+    return storage.getStore() || {};
+}
+
+// Runs fn with values added to the current context (nested calls inherit the outer values)
+function runWithContext(values, fn) {
+    return storage.run({ ...getContext(), ...values }, fn);
+}
+
+function isLevelEnabled(level) {
+    return (LEVELS[level] || LEVELS.info) >= MIN_LEVEL;
+}
+
+// Errors do not survive JSON.stringify; keep their message (and stack at debug level)
+function serializeFields(fields) {
+    const out = {};
+    Object.entries(fields || {}).forEach(([key, value]) => {
+        out[key] = value instanceof Error
+            ? { message: value.message, ...(isLevelEnabled('debug') ? { stack: value.stack } : {}) }
+            : value;
+    });
+    return out;
+}
+
+function log(level, event, fields = {}) {
+    if (!isLevelEnabled(level)) return;
+    const { requestId } = getContext();
+    const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...(requestId ? { requestId } : {}), ...serializeFields(fields) });
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+}
+
+// The request's ID: the caller's X-Request-Id when valid, else a new UUID.
+// Sent back as X-Request-Id on every response, errors included.
+function startRequest(req, res) {
+    const incoming = String((req.headers || {})['x-request-id'] || '').trim();
+    const requestId = REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', requestId);
+    return requestId;
+}
+
+module.exports = { log, isLevelEnabled, getContext, runWithContext, startRequest };
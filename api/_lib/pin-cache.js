@@ -0,0 +1,49 @@
+// api/_lib/pin-cache.js
+// Two-level cache for India Post lookups: a size-bounded in-memory LRU in front
+// of the configured persistent store. Successful lookups and "PIN does not
+// exist" answers expire on separate TTLs; transient failures are never cached.
+
+const { createStore } = require('./stores');
+
+const TTL_SECONDS = Number(process.env.PIN_CACHE_TTL_SECONDS) || 30 * 24 * 60 * 60;
+const NEGATIVE_TTL_SECONDS = Number(process.env.PIN_CACHE_NEGATIVE_TTL_SECONDS) || 60 * 60;
+const MAX_ENTRIES = Number(process.env.PIN_CACHE_MAX_ENTRIES) || 5000;
+
+const store = createStore('pincode', process.env.PIN_CACHE_STORE || process.env.STORE_BACKEND);
+// Map keeps insertion order, so re-inserting on read makes it an LRU
+const memory = new Map();
+
+function remember(pin, value, ttlSeconds) {
+    memory.delete(pin);
+    memory.set(pin, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (memory.size > MAX_ENTRIES) {
+        memory.delete(memory.keys().next().value);
+    }
+}
+
+async function get(pin) {
+    const entry = memory.get(pin);
+    if (entry) {
+        if (entry.expiresAt > Date.now()) {
+            remember(pin, entry.value, (entry.expiresAt - Date.now()) / 1000);
+            return entry.value;
+        }
+        memory.delete(pin);
+    }
+
+    const stored = await store.get(pin);
+    if (stored) {
+        const ttl = stored.PinStatus === 'Success' ? TTL_SECONDS : NEGATIVE_TTL_SECONDS;
+        remember(pin, stored, ttl);
+    }
+    return stored;
+}
+
+// Only definitive answers belong here: a found PIN or one India Post says does not exist
+async function set(pin, value) {
+    const ttl = value.PinStatus === 'Success' ? TTL_SECONDS : NEGATIVE_TTL_SECONDS;
+    remember(pin, value, ttl);
+    await store.set(pin, value, ttl);
+}
+
+module.exports = { get, set };
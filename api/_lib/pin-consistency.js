@@ -0,0 +1,114 @@
+// api/_lib/pin-consistency.js
+// Checks that the chosen PIN agrees with the places the customer wrote.
+// "Chandigarh" with a Mumbai PIN is a conflict even though the PIN exists.
+// Only the raw text is read: the AI output may already have been bent to fit the PIN.
+
+const { STATES, CITIES } = require('./places');
+const { normalizeText, tokenize, tokenCoverage } = require('./text-similarity');
+const { findPinsForPlace } = require('./india-post');
+
+function mentions(normalizedAddress, name) {
+    const needle = normalizeText(name);
+    return needle && new RegExp(`(?:^| )${needle}(?: |$)`).test(normalizedAddress);
+}
+
+function sameName(a, b) {
+    return normalizeText(a) === normalizeText(b);
+}
+
+// Places named in the raw address: [{ type: 'state' | 'city', name, state, district }]
+function findStatedPlaces(address) {
+    const normalizedAddress = normalizeText(address);
+    const places = [];
+
+    STATES.forEach(state => {
+        if ([state.name, ...state.aliases].some(name => mentions(normalizedAddress, name))) {
+            places.push({ type: 'state', name: state.name, state: state.name, district: null });
+        }
+    });
+    CITIES.forEach(city => {
+        if ([city.name, ...city.aliases].some(name => mentions(normalizedAddress, name))) {
+            places.push({ type: 'city', name: city.name, state: city.state, district: city.district });
+        }
+    });
+    return places;
+}
+
+// The PIN's own district, taluk or post office carries the place's name
+function namedInPinRecord(place, postOffices) {
+    return postOffices.some(po =>
+        sameName(po.District, place.name) || sameName(po.Taluk, place.name) ||
+        tokenCoverage(tokenize(po.Name), tokenize(place.name)) === 1);
+}
+
+// Does the stated place agree with the India Post data for the PIN? The PIN's own
+// names are checked first; the gazetteer's state only matters for a name they do
+// not have, since "Aurangabad" is a district in both Bihar and Maharashtra
+function judgePlace(place, postOffices, addressTokens) {
+    if (place.type === 'city' && namedInPinRecord(place, postOffices)) return { agrees: true };
+
+    const pinStates = [...new Set(postOffices.map(po => po.State))];
+    if (!pinStates.some(state => sameName(state, place.state))) {
+        const stated = place.type === 'state' ? `The address names ${place.name}` : `${place.name} is in ${place.state}`;
+        return { agrees: false, reason: `${stated}, but the PIN is in ${pinStates.join('/')}.` };
+    }
+    if (place.type === 'state') return { agrees: true };
+
+    // City in the right state: its district should appear in the PIN data
+    if (postOffices.some(po => sameName(po.District, place.district))) return { agrees: true };
+
+    // The address may name the PIN's own district too (e.g. "Zirakpur, Mohali")
+    const pinDistrictNamed = postOffices.some(po => tokenCoverage(tokenize(po.District), addressTokens) === 1);
+    if (pinDistrictNamed) return { agrees: true };
+
+    const pinDistricts = [...new Set(postOffices.map(po => po.District))];
+    return { agrees: false, reason: `${place.name} is in ${place.district} district, but the PIN is in ${pinDistricts.join('/')}.` };
+}
+
+// Returns { status, pin, stated, pinState, pinDistricts, conflicts, candidatePins }
+// status: consistent | partial | conflict | unverified
+async function checkPinConsistency(address, pin, postalData) {
+    const stated = findStatedPlaces(address);
+    const result = {
+        status: 'unverified',
+        pin: pin || null,
+        stated: stated.map(({ type, name }) => ({ type, name })),
+        pinState: null,
+        pinDistricts: [],
+        conflicts: [],
+        candidatePins: [],
+    };
+
+    if (!pin || !postalData || postalData.PinStatus !== 'Success') return result;
+
+    const postOffices = postalData.PostOfficeList;
+    result.pinState = postOffices[0] ? postOffices[0].State : null;
+    result.pinDistricts = [...new Set(postOffices.map(po => po.District))];
+
+    // Mentioning the PIN's own district, taluk or post office counts as agreement too
+    const addressTokens = tokenize(address);
+    const namesPinLocality = postOffices.some(po =>
+        [po.District, po.Taluk, po.Name].some(name => name && tokenCoverage(tokenize(name), addressTokens) === 1));
+
+    const verdicts = stated.map(place => ({ place, ...judgePlace(place, postOffices, addressTokens) }));
+    const agreeing = verdicts.filter(v => v.agrees).length + (namesPinLocality ? 1 : 0);
+    result.conflicts = verdicts.filter(v => !v.agrees).map(v => v.reason);
+
+    if (!stated.length && !namesPinLocality) return result;
+    if (!result.conflicts.length) {
+        result.status = 'consistent';
+    } else {
+        result.status = agreeing ? 'partial' : 'conflict';
+    }
+
+    if (result.status === 'conflict') {
+        // Offer PINs for the most specific place the customer named
+        const place = verdicts.find(v => !v.agrees && v.place.type === 'city') || verdicts.find(v => !v.agrees);
+        const lookupName = place.place.type === 'city' ? place.place.district : place.place.name;
+        result.candidatePins = await findPinsForPlace(lookupName, place.place.state);
+    }
+
+    return result;
+}
+
+module.exports = { checkPinConsistency, findStatedPlaces };
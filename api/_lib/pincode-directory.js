@@ -0,0 +1,55 @@
+// api/_lib/pincode-directory.js
+// Offline India Post pincode directory, built by scripts/import-pincode-directory.js.
+// When present it answers PIN lookups without calling api.postalpincode.in.
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const DEFAULT_DIRECTORY_PATH = path.join(__dirname, '..', '_data', 'pincode-directory.json');
+let directory = null;
+
+function loadDirectory() {
+    if (directory) return directory;
+
+    const directoryPath = process.env.PINCODE_DIRECTORY_PATH || DEFAULT_DIRECTORY_PATH;
+    try {
+        directory = JSON.parse(fs.readFileSync(directoryPath, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') log('error', 'data_file_error', { path: directoryPath, error: e.message });
+        // Missing or unreadable: remember that, so every lookup falls through to the API
+        directory = {};
+    }
+    return directory;
+}
+
+// Returns the same shape as getIndiaPostData, or null when the PIN is not in the directory
+function lookupPin(pin) {
+    const postOffices = loadDirectory()[pin];
+    if (!postOffices || !postOffices.length) return null;
+
+    return {
+        PinStatus: 'Success',
+        PostOfficeList: postOffices.map(po => ({ ...po })),
+    };
+}
+
+// PINs whose district or post-office name equals `place` (case-insensitive),
+// optionally limited to one state. Returns [] when no directory is loaded.
+function findPinsByPlace(place, state, limit = 5) {
+    const target = String(place || '').trim().toLowerCase();
+    const targetState = String(state || '').trim().toLowerCase();
+    if (!target) return [];
+
+    const pins = [];
+    for (const [pin, postOffices] of Object.entries(loadDirectory())) {
+        const matches = postOffices.some(po =>
+            (po.District.toLowerCase() === target || po.Name.toLowerCase() === target) &&
+            (!targetState || po.State.toLowerCase() === targetState));
+        if (matches) pins.push(pin);
+        if (pins.length >= limit) break;
+    }
+    return pins;
+}
+
+module.exports = { lookupPin, findPinsByPlace };
@@ -0,0 +1,116 @@
+// api/_lib/places.js
+// Small gazetteer of Indian states/UTs and major cities, used to read which
+// place a customer says they are in. Names match India Post spelling; aliases
+// cover older and colloquial spellings. Not exhaustive: the PIN's own district,
+// taluk and post-office names are checked separately.
+
+const STATES = [
+    { name: 'Andaman And Nicobar Islands', aliases: ['andaman', 'nicobar', 'port blair'] },
+    { name: 'Andhra Pradesh', aliases: ['andhra'] },
+    { name: 'Arunachal Pradesh', aliases: ['arunachal'] },
+    { name: 'Assam', aliases: [] },
+    { name: 'Bihar', aliases: [] },
+    { name: 'Chandigarh', aliases: [] },
+    { name: 'Chhattisgarh', aliases: ['chattisgarh', 'chhatisgarh'] },
+    { name: 'Dadra And Nagar Haveli And Daman And Diu', aliases: ['dadra', 'nagar haveli', 'daman', 'diu', 'silvassa'] },
+    { name: 'Delhi', aliases: ['new delhi', 'nct of delhi'] },
+    { name: 'Goa', aliases: [] },
+    { name: 'Gujarat', aliases: ['gujrat'] },
+    { name: 'Haryana', aliases: [] },
+    { name: 'Himachal Pradesh', aliases: ['himachal'] },
+    { name: 'Jammu And Kashmir', aliases: ['jammu', 'kashmir', 'j&k'] },
+    { name: 'Jharkhand', aliases: [] },
+    { name: 'Karnataka', aliases: [] },
+    { name: 'Kerala', aliases: [] },
+    { name: 'Ladakh', aliases: ['leh'] },
+    { name: 'Lakshadweep', aliases: [] },
+    { name: 'Madhya Pradesh', aliases: [] },
+    { name: 'Maharashtra', aliases: ['maharastra'] },
+    { name: 'Manipur', aliases: [] },
+    { name: 'Meghalaya', aliases: [] },
+    { name: 'Mizoram', aliases: [] },
+    { name: 'Nagaland', aliases: [] },
+    { name: 'Odisha', aliases: ['orissa'] },
+    { name: 'Puducherry', aliases: ['pondicherry'] },
+    { name: 'Punjab', aliases: [] },
+    { name: 'Rajasthan', aliases: [] },
+    { name: 'Sikkim', aliases: [] },
+    { name: 'Tamil Nadu', aliases: ['tamilnadu'] },
+    { name: 'Telangana', aliases: ['telengana'] },
+    { name: 'Tripura', aliases: [] },
+    { name: 'Uttar Pradesh', aliases: [] },
+    { name: 'Uttarakhand', aliases: ['uttaranchal'] },
+    { name: 'West Bengal', aliases: [] },
+];
+
+// district is the India Post district the city's PINs fall under
+const CITIES = [
+    { name: 'Mumbai', aliases: ['bombay'], district: 'Mumbai', state: 'Maharashtra' },
+    { name: 'Thane', aliases: [], district: 'Thane', state: 'Maharashtra' },
+    { name: 'Pune', aliases: ['poona'], district: 'Pune', state: 'Maharashtra' },
+    { name: 'Nagpur', aliases: [], district: 'Nagpur', state: 'Maharashtra' },
+    { name: 'Nashik', aliases: ['nasik'], district: 'Nashik', state: 'Maharashtra' },
+    { name: 'Aurangabad', aliases: ['chhatrapati sambhajinagar'], district: 'Aurangabad', state: 'Maharashtra' },
+    { name: 'Bengaluru', aliases: ['bangalore', 'bengaluru'], district: 'Bangalore', state: 'Karnataka' },
+    { name: 'Mysuru', aliases: ['mysore'], district: 'Mysore', state: 'Karnataka' },
+    { name: 'Mangaluru', aliases: ['mangalore'], district: 'Dakshina Kannada', state: 'Karnataka' },
+    { name: 'Chennai', aliases: ['madras'], district: 'Chennai', state: 'Tamil Nadu' },
+    { name: 'Coimbatore', aliases: [], district: 'Coimbatore', state: 'Tamil Nadu' },
+    { name: 'Madurai', aliases: [], district: 'Madurai', state: 'Tamil Nadu' },
+    { name: 'Kolkata', aliases: ['calcutta'], district: 'Kolkata', state: 'West Bengal' },
+    { name: 'Howrah', aliases: [], district: 'Howrah', state: 'West Bengal' },
+    { name: 'Hyderabad', aliases: ['secunderabad'], district: 'Hyderabad', state: 'Telangana' },
+    { name: 'Visakhapatnam', aliases: ['vizag'], district: 'Visakhapatnam', state: 'Andhra Pradesh' },
+    { name: 'Vijayawada', aliases: [], district: 'Krishna', state: 'Andhra Pradesh' },
+    { name: 'Ahmedabad', aliases: ['amdavad'], district: 'Ahmedabad', state: 'Gujarat' },
+    { name: 'Surat', aliases: [], district: 'Surat', state: 'Gujarat' },
+    { name: 'Vadodara', aliases: ['baroda'], district: 'Vadodara', state: 'Gujarat' },
+    { name: 'Rajkot', aliases: [], district: 'Rajkot', state: 'Gujarat' },
+    { name: 'Jaipur', aliases: [], district: 'Jaipur', state: 'Rajasthan' },
+    { name: 'Jodhpur', aliases: [], district: 'Jodhpur', state: 'Rajasthan' },
+    { name: 'Udaipur', aliases: [], district: 'Udaipur', state: 'Rajasthan' },
+    { name: 'Kota', aliases: [], district: 'Kota', state: 'Rajasthan' },
+    { name: 'Lucknow', aliases: [], district: 'Lucknow', state: 'Uttar Pradesh' },
+    { name: 'Kanpur', aliases: [], district: 'Kanpur Nagar', state: 'Uttar Pradesh' },
+    { name: 'Noida', aliases: ['greater noida'], district: 'Gautam Buddha Nagar', state: 'Uttar Pradesh' },
+    { name: 'Ghaziabad', aliases: [], district: 'Ghaziabad', state: 'Uttar Pradesh' },
+    { name: 'Agra', aliases: [], district: 'Agra', state: 'Uttar Pradesh' },
+    { name: 'Varanasi', aliases: ['banaras', 'benares'], district: 'Varanasi', state: 'Uttar Pradesh' },
+    { name: 'Prayagraj', aliases: ['allahabad'], district: 'Allahabad', state: 'Uttar Pradesh' },
+    { name: 'Meerut', aliases: [], district: 'Meerut', state: 'Uttar Pradesh' },
+    { name: 'Gurugram', aliases: ['gurgaon'], district: 'Gurgaon', state: 'Haryana' },
+    { name: 'Faridabad', aliases: [], district: 'Faridabad', state: 'Haryana' },
+    { name: 'Panchkula', aliases: [], district: 'Panchkula', state: 'Haryana' },
+    { name: 'Ambala', aliases: [], district: 'Ambala', state: 'Haryana' },
+    { name: 'Karnal', aliases: [], district: 'Karnal', state: 'Haryana' },
+    { name: 'Mohali', aliases: ['sas nagar', 'sahibzada ajit singh nagar'], district: 'Mohali', state: 'Punjab' },
+    { name: 'Ludhiana', aliases: [], district: 'Ludhiana', state: 'Punjab' },
+    { name: 'Amritsar', aliases: [], district: 'Amritsar', state: 'Punjab' },
+    { name: 'Jalandhar', aliases: ['jullundur'], district: 'Jalandhar', state: 'Punjab' },
+    { name: 'Patiala', aliases: [], district: 'Patiala', state: 'Punjab' },
+    { name: 'Bathinda', aliases: ['bhatinda'], district: 'Bathinda', state: 'Punjab' },
+    { name: 'Zirakpur', aliases: [], district: 'Mohali', state: 'Punjab' },
+    { name: 'Kharar', aliases: [], district: 'Mohali', state: 'Punjab' },
+    { name: 'Shimla', aliases: ['simla'], district: 'Shimla', state: 'Himachal Pradesh' },
+    { name: 'Dehradun', aliases: ['dehra dun'], district: 'Dehradun', state: 'Uttarakhand' },
+    { name: 'Haridwar', aliases: ['hardwar'], district: 'Haridwar', state: 'Uttarakhand' },
+    { name: 'Srinagar', aliases: [], district: 'Srinagar', state: 'Jammu And Kashmir' },
+    { name: 'Bhopal', aliases: [], district: 'Bhopal', state: 'Madhya Pradesh' },
+    { name: 'Indore', aliases: [], district: 'Indore', state: 'Madhya Pradesh' },
+    { name: 'Gwalior', aliases: [], district: 'Gwalior', state: 'Madhya Pradesh' },
+    { name: 'Jabalpur', aliases: [], district: 'Jabalpur', state: 'Madhya Pradesh' },
+    { name: 'Raipur', aliases: [], district: 'Raipur', state: 'Chhattisgarh' },
+    { name: 'Patna', aliases: [], district: 'Patna', state: 'Bihar' },
+    { name: 'Gaya', aliases: [], district: 'Gaya', state: 'Bihar' },
+    { name: 'Ranchi', aliases: [], district: 'Ranchi', state: 'Jharkhand' },
+    { name: 'Jamshedpur', aliases: ['tatanagar'], district: 'East Singhbhum', state: 'Jharkhand' },
+    { name: 'Bhubaneswar', aliases: ['bhubaneshwar'], district: 'Khorda', state: 'Odisha' },
+    { name: 'Cuttack', aliases: [], district: 'Cuttack', state: 'Odisha' },
+    { name: 'Guwahati', aliases: ['gauhati'], district: 'Kamrup Metro', state: 'Assam' },
+    { name: 'Thiruvananthapuram', aliases: ['trivandrum'], district: 'Thiruvananthapuram', state: 'Kerala' },
+    { name: 'Kochi', aliases: ['cochin', 'ernakulam'], district: 'Ernakulam', state: 'Kerala' },
+    { name: 'Kozhikode', aliases: ['calicut'], district: 'Kozhikode', state: 'Kerala' },
+    { name: 'Panaji', aliases: ['panjim'], district: 'North Goa', state: 'Goa' },
+];
+
+module.exports = { STATES, CITIES };
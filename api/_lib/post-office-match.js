@@ -0,0 +1,61 @@
+// api/_lib/post-office-match.js
+// Chooses the post office for a PIN that best fits the address, instead of
+// blindly taking PostOfficeList[0]. A PIN often covers a dozen offices across
+// several taluks, so the address text and the LLM's P.O./Tehsil pick are
+// scored against every one of them.
+
+const { tokenize, stringSimilarity, tokenCoverage } = require('./text-similarity');
+
+// Below this gap between the top two scores the choice is reported as ambiguous
+const AMBIGUITY_MARGIN = 0.1;
+// ...but only once the best office scores this much: with no office named in the
+// address (or by the LLM) every score is near 0 and there is nothing to be torn between
+const MIN_AMBIGUOUS_SCORE = 0.2;
+const MAX_RUNNERS_UP = 3;
+
+function stripPrefix(value, prefixRegex) {
+    return String(value || '').replace(prefixRegex, '').trim();
+}
+
+function scorePostOffice(po, addressTokens, llmPostOffice, llmTehsil) {
+    // Office name spelled out in the raw address is the strongest signal
+    const nameInAddress = tokenCoverage(tokenize(po.Name), addressTokens);
+    const nameVsLlm = llmPostOffice ? stringSimilarity(po.Name, llmPostOffice) : 0;
+    const talukInAddress = tokenCoverage(tokenize(po.Taluk), addressTokens);
+    const talukVsLlm = llmTehsil && po.Taluk ? stringSimilarity(po.Taluk, llmTehsil) : 0;
+
+    return 0.5 * nameInAddress + 0.3 * nameVsLlm + 0.1 * talukInAddress + 0.1 * talukVsLlm;
+}
+
+// Returns { best, score, ambiguous, candidates } where score is 0-100 and
+// candidates lists the runners-up, or null when there is nothing to choose from.
+function matchPostOffice(address, parsedData, postOfficeList) {
+    if (!postOfficeList || !postOfficeList.length) return null;
+
+    const addressTokens = tokenize(address);
+    const llmPostOffice = stripPrefix(parsedData && parsedData['P.O.'], /^p\.?\s*o\.?\s*/i);
+    const llmTehsil = stripPrefix(parsedData && parsedData.Tehsil, /^(?:tehsil|taluk|tq)\.?\s*/i);
+
+    const ranked = postOfficeList
+        .map((po, index) => ({ po, index, score: scorePostOffice(po, addressTokens, llmPostOffice, llmTehsil) }))
+        // Ties keep India Post's own order
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const [top, second] = ranked;
+    const ambiguous = Boolean(second) && top.score >= MIN_AMBIGUOUS_SCORE &&
+        (top.score - second.score < AMBIGUITY_MARGIN);
+
+    return {
+        best: top.po,
+        score: Math.round(top.score * 100),
+        ambiguous,
+        candidates: ranked.slice(1, 1 + MAX_RUNNERS_UP).map(({ po, score }) => ({
+            name: po.Name,
+            taluk: po.Taluk,
+            district: po.District,
+            score: Math.round(score * 100),
+        })),
+    };
+}
+
+module.exports = { matchPostOffice };
@@ -0,0 +1,60 @@
+// api/_lib/providers/gemini.js
+// Google Gemini generateContent adapter.
+
+const { log } = require('../logger');
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+
+// Token counts as { promptTokens, outputTokens, totalTokens }, or null when not reported
+function readUsage(metadata) {
+    if (!metadata) return null;
+    return {
+        promptTokens: metadata.promptTokenCount || 0,
+        outputTokens: metadata.candidatesTokenCount || 0,
+        totalTokens: metadata.totalTokenCount || 0,
+    };
+}
+
+async function generate(prompt) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        return { text: null, error: "Gemini API key not set in Vercel environment variables." };
+    }
+
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`;
+
+    const requestBody = {
+        contents: [{ parts: [{ text: prompt }] }],
+    };
+
+    const options = {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(requestBody)
+    };
+
+    try {
+        const response = await fetch(apiUrl, options);
+        const result = await response.json();
+
+        if (response.status !== 200) {
+            const errorMessage = `Gemini API Error: ${result.error?.message || "Unknown error."}`;
+            log('error', 'llm_error', { provider: 'gemini', error: errorMessage });
+            return { text: null, error: errorMessage };
+        }
+
+        if (result.candidates && result.candidates.length > 0) {
+            return { text: result.candidates[0].content.parts[0].text, error: null, usage: readUsage(result.usageMetadata) };
+        } else {
+            const errorMessage = "Gemini API Error: No candidates found in response.";
+            log('error', 'llm_error', { provider: 'gemini', error: errorMessage });
+            return { text: null, error: errorMessage };
+        }
+    } catch (e) {
+        const errorMessage = `Error during Gemini API call: ${e.message}`;
+        log('error', 'llm_error', { provider: 'gemini', error: errorMessage });
+        return { text: null, error: errorMessage };
+    }
+}
+
+module.exports = { name: 'gemini', generate };
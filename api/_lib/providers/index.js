@@ -0,0 +1,24 @@
+// api/_lib/providers/index.js
+// LLM provider registry. Every provider exposes { name, generate(prompt, context) }
+// and resolves to { text, error, usage }, never throwing. usage is
+// { promptTokens, outputTokens, totalTokens } when the provider reports it.
+// Select one with LLM_PROVIDER=gemini|openai|mock (default: gemini).
+
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock = require('./mock');
+const { log } = require('../logger');
+
+const providers = { gemini, openai, mock };
+
+function getProvider(name = process.env.LLM_PROVIDER) {
+    const key = String(name || 'gemini').trim().toLowerCase();
+    const provider = providers[key];
+    if (!provider) {
+        log('warn', 'config_error', { message: `Unknown LLM_PROVIDER "${name}", using gemini.` });
+        return gemini;
+    }
+    return provider;
+}
+
+module.exports = { getProvider };
@@ -0,0 +1,43 @@
+// api/_lib/providers/mock.js
+// Deterministic, fixture-backed provider for running the handler offline and in CI
+// (scripts/check-fixtures.js replays every fixture and compares the results).
+// Fixtures map the raw address to a recorded LLM reply ({ text }) or failure ({ error }).
+// An entry may also hold a "retry" entry, replayed for the corrective-prompt retry,
+// and a recorded "usage" ({ promptTokens, outputTokens, totalTokens }).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'mock-responses.json');
+let fixtures = null;
+
+function loadFixtures() {
+    if (!fixtures) {
+        const fixturePath = process.env.LLM_MOCK_FIXTURES || DEFAULT_FIXTURES;
+        fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+    return fixtures;
+}
+
+async function generate(prompt, { address, retry } = {}) {
+    let data;
+    try {
+        data = loadFixtures();
+    } catch (e) {
+        return { text: null, error: `Mock provider could not load fixtures: ${e.message}` };
+    }
+
+    const key = String(address || '').trim();
+    let entry = (data.responses && data.responses[key]) || data.default;
+    if (retry && entry && entry.retry) entry = entry.retry;
+
+    if (!entry) {
+        return { text: null, error: `Mock provider has no fixture for address: ${key}` };
+    }
+
+    // Recorded replies are stored as objects for readability; the pipeline expects raw text
+    const text = typeof entry.text === 'string' ? entry.text : (entry.text ? JSON.stringify(entry.text) : null);
+    return { text, error: entry.error || null, usage: entry.usage || null };
+}
+
+module.exports = { name: 'mock', generate };
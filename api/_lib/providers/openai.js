@@ -0,0 +1,65 @@
+// api/_lib/providers/openai.js
+// Adapter for any OpenAI-compatible /chat/completions endpoint
+// (OpenAI, Azure-style gateways, OpenRouter, local servers such as Ollama).
+
+const { log } = require('../logger');
+
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+// Token counts as { promptTokens, outputTokens, totalTokens }, or null when not reported
+function readUsage(usage) {
+    if (!usage) return null;
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+    };
+}
+
+async function generate(prompt) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+        return { text: null, error: "OpenAI API key not set in Vercel environment variables." };
+    }
+
+    const requestBody = {
+        model: OPENAI_MODEL,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0,
+    };
+
+    const options = {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Authorization": `Bearer ${apiKey}`
+        },
+        body: JSON.stringify(requestBody)
+    };
+
+    try {
+        const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, options);
+        const result = await response.json();
+
+        if (response.status !== 200) {
+            const errorMessage = `OpenAI API Error: ${result.error?.message || "Unknown error."}`;
+            log('error', 'llm_error', { provider: 'openai', error: errorMessage });
+            return { text: null, error: errorMessage };
+        }
+
+        if (result.choices && result.choices.length > 0) {
+            return { text: result.choices[0].message.content, error: null, usage: readUsage(result.usage) };
+        } else {
+            const errorMessage = "OpenAI API Error: No choices found in response.";
+            log('error', 'llm_error', { provider: 'openai', error: errorMessage });
+            return { text: null, error: errorMessage };
+        }
+    } catch (e) {
+        const errorMessage = `Error during OpenAI API call: ${e.message}`;
+        log('error', 'llm_error', { provider: 'openai', error: errorMessage });
+        return { text: null, error: errorMessage };
+    }
+}
+
+module.exports = { name: 'openai', generate };
@@ -0,0 +1,108 @@
+// api/_lib/remarks.js
+// Structured remarks: every finding is { code, severity, message, data } with a
+// stable code, so callers can branch on PIN_CORRECTED vs SHORT_ADDRESS without
+// grepping text. Also derives the 0-100 confidence score from those findings.
+
+const SEVERITY = { INFO: 'info', WARNING: 'warning', CRITICAL: 'critical' };
+
+// Stable codes. Add new ones here; never rename an existing code.
+const REMARK_CODES = {
+    VERIFIED: 'VERIFIED',
+    LLM_UNAVAILABLE: 'LLM_UNAVAILABLE',
+    JSON_PARSE_FAILED: 'JSON_PARSE_FAILED',
+    SCHEMA_VIOLATION: 'SCHEMA_VIOLATION',
+    OUTPUT_NORMALIZED: 'OUTPUT_NORMALIZED',
+    PIN_VERIFIED: 'PIN_VERIFIED',
+    PIN_ADDED: 'PIN_ADDED',
+    PIN_CORRECTED: 'PIN_CORRECTED',
+    PIN_UNVERIFIED: 'PIN_UNVERIFIED',
+    PIN_NOT_FOUND: 'PIN_NOT_FOUND',
+    PIN_MISMATCH: 'PIN_MISMATCH',
+    PIN_PARTIAL_MATCH: 'PIN_PARTIAL_MATCH',
+    POST_OFFICE_AMBIGUOUS: 'POST_OFFICE_AMBIGUOUS',
+    SHORT_ADDRESS: 'SHORT_ADDRESS',
+    AMBIGUOUS_TEXT: 'AMBIGUOUS_TEXT',
+    ADDRESS_LINES_OVERFLOW: 'ADDRESS_LINES_OVERFLOW',
+    UNGROUNDED_COMPONENT: 'UNGROUNDED_COMPONENT',
+    NOT_SERVICEABLE: 'NOT_SERVICEABLE',
+    ODA_ONLY: 'ODA_ONLY',
+    PHONE_EXTRACTED: 'PHONE_EXTRACTED',
+    PHONE_INVALID: 'PHONE_INVALID',
+};
+
+// Legacy clients (X-Api-Version: 1) get the old '; '-joined string
+const LEGACY_API_VERSION = 1;
+const CURRENT_API_VERSION = 2;
+const LEGACY_ALERT_PREFIX = 'CRITICAL_ALERT: ';
+
+const QUALITY_BASE_SCORE = { 'Very Good': 95, 'Good': 80, 'Medium': 60, 'Bad': 35, 'Very Bad': 15 };
+
+// Points taken off (or added) per remark code
+const CONFIDENCE_ADJUSTMENTS = {
+    PIN_VERIFIED: 5,
+    PIN_ADDED: -5,
+    PIN_CORRECTED: -10,
+    PIN_UNVERIFIED: -25,
+    PIN_NOT_FOUND: -30,
+    PIN_MISMATCH: -30,
+    PIN_PARTIAL_MATCH: -10,
+    LLM_UNAVAILABLE: -10,
+    JSON_PARSE_FAILED: -20,
+    SCHEMA_VIOLATION: -15,
+    OUTPUT_NORMALIZED: -1,
+    POST_OFFICE_AMBIGUOUS: -5,
+    SHORT_ADDRESS: -15,
+    AMBIGUOUS_TEXT: -5,
+    UNGROUNDED_COMPONENT: -10,
+};
+
+function createRemark(code, severity, message, data = null) {
+    return { code, severity, message, data };
+}
+
+function hasCritical(remarks) {
+    return remarks.some(remark => remark.severity === SEVERITY.CRITICAL);
+}
+
+function toLegacyRemarks(remarks) {
+    return remarks
+        .map(remark => (remark.severity === SEVERITY.CRITICAL ? LEGACY_ALERT_PREFIX : '') + remark.message)
+        .join('; ')
+        .trim();
+}
+
+function computeConfidence(remarks, addressQuality) {
+    let score = QUALITY_BASE_SCORE[addressQuality] !== undefined ? QUALITY_BASE_SCORE[addressQuality] : 50;
+
+    remarks.forEach(remark => {
+        let adjustment = CONFIDENCE_ADJUSTMENTS[remark.code] || 0;
+        // An ambiguous post office that changes the tehsil/district matters more
+        if (remark.code === REMARK_CODES.POST_OFFICE_AMBIGUOUS && remark.severity === SEVERITY.CRITICAL) adjustment = -10;
+        score += adjustment;
+    });
+
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+// Reads X-Api-Version; anything other than 1 gets the current format
+function getApiVersion(req) {
+    const header = req && req.headers ? req.headers['x-api-version'] : null;
+    return Number(header) === LEGACY_API_VERSION ? LEGACY_API_VERSION : CURRENT_API_VERSION;
+}
+
+// Shapes one verification body for the requested API version
+function formatForApiVersion(body, apiVersion) {
+    if (apiVersion !== LEGACY_API_VERSION || !Array.isArray(body.remarks)) return body;
+    return { ...body, remarks: toLegacyRemarks(body.remarks) };
+}
+
+module.exports = {
+    SEVERITY,
+    REMARK_CODES,
+    createRemark,
+    hasCritical,
+    toLegacyRemarks,
+    computeConfidence,
+    getApiVersion,
+    formatForApiVersion,
+};
@@ -0,0 +1,193 @@
+// api/_lib/rules-parser.js
+// Deterministic, rule-based address extractor. Used when the LLM is unavailable
+// or its output cannot be parsed, so a row still gets the same keys that
+// buildGeminiPrompt asks for.
+
+const { extractPin } = require('./india-post');
+const { matchPostOffice } = require('./post-office-match');
+const { meaninglessRegex } = require('./keywords');
+const { findLandmarkMentions } = require('./landmarks');
+
+// Numbered components: output key, display label and the pattern for the number
+const NUMBERED_COMPONENTS = [
+    { key: 'H.no.', label: 'H.No.', regex: /\b(?:h\.?\s*no|house(?:\s*(?:no|number))?|hno)\b\.?\s*[:#\-]?\s*([a-z]?[\/\-]?\d[a-z0-9\/\-]*)/i },
+    { key: 'Flat No.', label: 'Flat No.', regex: /\bflat\s*(?:no\b\.?)?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    { key: 'Plot No.', label: 'Plot No.', regex: /\bplot\s*(?:no\b\.?)?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    { key: 'Room No.', label: 'Room No.', regex: /\broom\s*(?:no\b\.?)?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    { key: 'Building No.', label: 'Building No.', regex: /\b(?:building|bldg)\.?\s*no\b\.?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    { key: 'Block No.', label: 'Block', regex: /\b(?:block|blk)\b\.?\s*(?:no\b\.?)?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    { key: 'Ward No.', label: 'Ward No.', regex: /\bward\s*(?:no\b\.?)?\s*[:#\-]?\s*(\d+[a-z]?)/i },
+    { key: 'Gali No.', label: 'Gali No.', regex: /\b(?:gali|street)\s*no\b\.?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    { key: 'Zone No.', label: 'Zone', regex: /\bzone\s*(?:no\b\.?)?\s*[:#\-]?\s*([a-z0-9][a-z0-9\/\-]*)/i },
+    // The letter may be set apart: "40B", "15-C", "15 C"
+    { key: 'Sector', label: 'Sector', regex: /\bsec(?:tor)?\.?\s*[:#\-]?\s*(\d+(?:[-\s]?[a-z])?)\b/i },
+];
+
+const FLOOR_REGEX = /\b(ground|first|second|third|fourth|fifth|top|\d+\s*(?:st|nd|rd|th)?)\s*floor\b/i;
+const COLONY_REGEX = /\b(?:colony|nagar|enclave|vihar|puram|layout|society|mohalla|basti|township|residency|apartments?)\b/i;
+const STREET_REGEX = /\b(?:road|rd|street|st|marg|lane|gali|path|highway|chowk|bazaar|bazar|market)\b/i;
+const BUILDING_REGEX = /\b(?:tower|towers|complex|heights|plaza|bhawan|bhavan|house|villa|mansion|building)\b/i;
+const COUNTRY_REGEX = /\bindia\b/gi;
+// A 6-digit PIN with its label, if any ("PIN: 160015", "Pincode - 560001", "pin code 110031")
+const PIN_REGEX = /(?:\b(?:pin\s*code|pincode|pin|postal\s*code)\b\.?\s*(?:no\b\.?)?\s*[:#\-]?\s*)?\b\d{6}\b/gi;
+
+// Capitalizes each word but keeps existing capitals (e.g. "SBI", "MG Road")
+function titleCase(text) {
+    return text.replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+function escapeRegex(text) {
+    return text.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+function cleanSegment(text) {
+    return text.replace(/\s+/g, ' ').replace(/^[\s,.\-:;#]+|[\s,.\-:;#]+$/g, '').trim();
+}
+
+// Picks the post office that best fits the address text
+function pickPostOffice(address, postalData) {
+    if (postalData.PinStatus !== 'Success') return null;
+    const match = matchPostOffice(address, null, postalData.PostOfficeList);
+    return match ? match.best : null;
+}
+
+// Removes the PIN (with its label) and the known district/state/country names from a text segment
+function stripGeography(text, postOffice) {
+    let result = text.replace(PIN_REGEX, '').replace(COUNTRY_REGEX, '');
+    if (postOffice) {
+        [postOffice.State, postOffice.District].filter(Boolean).forEach(name => {
+            result = result.replace(new RegExp(`\\b${escapeRegex(name)}\\b`, 'gi'), '');
+        });
+    }
+    return cleanSegment(result);
+}
+
+// Every landmark in a segment ("opp SBI behind Gurudwara" has two); the
+// directional words and names are cut out of the segment
+function extractLandmarks(segments, postOffice) {
+    const landmarks = [];
+
+    segments.forEach(segment => {
+        const mentions = findLandmarkMentions(segment.text);
+        if (!mentions.length) return;
+
+        mentions.forEach(mention => {
+            const name = stripGeography(mention.name, postOffice);
+            if (name) landmarks.push(titleCase(name));
+        });
+        // Right to left, so earlier offsets stay valid
+        segment.text = cleanSegment(mentions.reduceRight((text, mention) => `${text.slice(0, mention.start)} ${text.slice(mention.end)}`, segment.text));
+    });
+
+    return landmarks;
+}
+
+function rateQuality(parsed, postOffice) {
+    const specificKeys = [...NUMBERED_COMPONENTS.map(c => c.key), 'Floor', 'Building Name'];
+    const specificCount = specificKeys.filter(key => parsed[key]).length;
+    const areaCount = ['Colony', 'Street', 'Locality', 'Landmark'].filter(key => parsed[key]).length;
+
+    // Rules never claim "Very Good"; that judgement is left to the LLM
+    if (specificCount >= 1 && areaCount >= 1 && postOffice) return 'Good';
+    if ((specificCount >= 1 || areaCount >= 1) && parsed.PIN) return 'Medium';
+    if (specificCount >= 1 || areaCount >= 1) return 'Bad';
+    return 'Very Bad';
+}
+
+// Extracts address components with regular expressions and the India Post data.
+// Returns an object with the same keys as the Gemini JSON output.
+function parseAddressWithRules(address, postalData) {
+    const rawAddress = String(address || '');
+    const postOffice = pickPostOffice(rawAddress, postalData);
+    const parsed = {};
+
+    // Split into logical segments on commas, semicolons and newlines
+    const segments = rawAddress.split(/[,;\n]+/).map(text => ({ text: cleanSegment(text) })).filter(s => s.text);
+
+    // 1. Numbered components (H.no., Flat No., Sector, ...)
+    NUMBERED_COMPONENTS.forEach(component => {
+        parsed[component.key] = null;
+        for (const segment of segments) {
+            const match = segment.text.match(component.regex);
+            if (match) {
+                parsed[component.key] = match[1].toUpperCase();
+                segment.text = cleanSegment(segment.text.replace(match[0], ' '));
+                break;
+            }
+        }
+    });
+
+    // 2. Floor
+    parsed.Floor = null;
+    for (const segment of segments) {
+        const match = segment.text.match(FLOOR_REGEX);
+        if (match) {
+            parsed.Floor = `${titleCase(match[1].replace(/\s+/g, ''))} Floor`;
+            segment.text = cleanSegment(segment.text.replace(match[0], ' '));
+            break;
+        }
+    }
+
+    // 3. Landmarks, names only (the handler pairs each with its directional word again)
+    const landmarks = extractLandmarks(segments, postOffice);
+    parsed.Landmark = landmarks.length ? landmarks.join(', ') : null;
+
+    // 4. Named areas: the first segment matching each pattern wins
+    const claimNamed = (regex) => {
+        const segment = segments.find(s => s.text && regex.test(s.text));
+        if (!segment) return null;
+        const value = titleCase(stripGeography(segment.text, postOffice));
+        segment.text = '';
+        return value || null;
+    };
+    parsed['Building Name'] = claimNamed(BUILDING_REGEX);
+    parsed['House Name'] = null;
+    parsed.Colony = claimNamed(COLONY_REGEX);
+    parsed.Street = claimNamed(STREET_REGEX);
+
+    // 5. Locality: a segment naming one of the PIN's post offices
+    parsed.Locality = null;
+    if (postOffice) {
+        const poNames = postalData.PostOfficeList.map(po => po.Name.toLowerCase()).filter(Boolean);
+        const segment = segments.find(s => s.text && poNames.some(name => s.text.toLowerCase().includes(name)));
+        if (segment) {
+            parsed.Locality = titleCase(stripGeography(segment.text, postOffice)) || null;
+            segment.text = '';
+        }
+    }
+
+    // 6. Geography from the India Post data
+    const pin = extractPin(rawAddress);
+    parsed['P.O.'] = postOffice ? `P.O. ${postOffice.Name}` : null;
+    parsed.Tehsil = postOffice && postOffice.Taluk ? `Tehsil ${postOffice.Taluk}` : null;
+    parsed['DIST.'] = postOffice ? postOffice.District : null;
+    parsed.State = postOffice ? postOffice.State : null;
+    parsed.PIN = postOffice ? pin : null;
+
+    // 7. Whatever is left over goes to Remaining, minus filler words and geography
+    const remaining = segments
+        .map(s => stripGeography(s.text.replace(meaninglessRegex, ''), postOffice))
+        .filter(Boolean);
+    // Without a locality, the first leftover segment is the best guess for one
+    if (!parsed.Locality && remaining.length && !parsed.Colony && !parsed.Street) {
+        parsed.Locality = titleCase(remaining.shift());
+    }
+    parsed.Remaining = remaining.length ? remaining.join(', ') : null;
+
+    // 8. FormattedAddress in the same order the prompt asks for (no State or PIN)
+    const parts = NUMBERED_COMPONENTS
+        .filter(c => parsed[c.key])
+        .map(c => `${c.label} ${parsed[c.key]}`);
+    [parsed.Floor, parsed['Building Name'], parsed.Street, parsed.Colony, parsed.Locality, parsed['P.O.'], parsed.Tehsil, parsed['DIST.']]
+        .filter(Boolean)
+        .forEach(part => parts.push(part));
+    parsed.FormattedAddress = parts.join(', ');
+
+    parsed.LocationType = null;
+    parsed.AddressQuality = rateQuality(parsed, postOffice);
+    parsed.LocationSuitability = null;
+
+    return parsed;
+}
+
+module.exports = { parseAddressWithRules };
@@ -0,0 +1,191 @@
+// api/_lib/schema.js
+// Strict schema for the LLM JSON output. Validates every expected key, coerces
+// near-misses (case, synonyms, numbers, null-ish strings, key aliases) and
+// reports each coercion so downstream systems always get predictable values.
+
+const ADDRESS_QUALITY_VALUES = ['Very Good', 'Good', 'Medium', 'Bad', 'Very Bad'];
+const LOCATION_SUITABILITY_VALUES = ['Prime Location', 'Tier 1 & 2 Cities', 'Remote/Difficult Location', 'Non-Serviceable Location'];
+const LOCATION_TYPE_VALUES = ['Village', 'Town', 'City', 'Urban Area'];
+
+// Lower-cased synonyms the LLM is known to return, mapped to the allowed value
+const ADDRESS_QUALITY_SYNONYMS = {
+    'excellent': 'Very Good', 'very good': 'Very Good', 'verygood': 'Very Good',
+    'good': 'Good',
+    'medium': 'Medium', 'average': 'Medium', 'moderate': 'Medium', 'fair': 'Medium', 'ok': 'Medium',
+    'bad': 'Bad', 'poor': 'Bad', 'low': 'Bad',
+    'very bad': 'Very Bad', 'verybad': 'Very Bad', 'very poor': 'Very Bad', 'invalid': 'Very Bad',
+};
+const LOCATION_SUITABILITY_SYNONYMS = {
+    'prime': 'Prime Location', 'prime location': 'Prime Location', 'metro': 'Prime Location',
+    'tier 1': 'Tier 1 & 2 Cities', 'tier 2': 'Tier 1 & 2 Cities', 'tier 1 & 2': 'Tier 1 & 2 Cities',
+    'tier 1 and 2 cities': 'Tier 1 & 2 Cities', 'tier 1 & 2 cities': 'Tier 1 & 2 Cities', 'tier 1/2 cities': 'Tier 1 & 2 Cities',
+    'remote': 'Remote/Difficult Location', 'difficult': 'Remote/Difficult Location',
+    'remote location': 'Remote/Difficult Location', 'difficult location': 'Remote/Difficult Location',
+    'remote/difficult location': 'Remote/Difficult Location', 'remote / difficult location': 'Remote/Difficult Location',
+    'non-serviceable': 'Non-Serviceable Location', 'non serviceable': 'Non-Serviceable Location',
+    'not serviceable': 'Non-Serviceable Location', 'non-serviceable location': 'Non-Serviceable Location',
+    'unserviceable': 'Non-Serviceable Location',
+};
+const LOCATION_TYPE_SYNONYMS = {
+    'village': 'Village', 'gaon': 'Village', 'rural': 'Village',
+    'town': 'Town', 'small town': 'Town',
+    'city': 'City', 'metro': 'City', 'metro city': 'City',
+    'urban area': 'Urban Area', 'urban': 'Urban Area', 'suburb': 'Urban Area', 'suburban': 'Urban Area',
+    'semi-urban': 'Town', 'semi urban': 'Town', 'rural area': 'Village',
+};
+
+// Strings the LLM uses to mean "nothing here"
+const NULL_STRINGS = ['', 'null', 'none', 'n/a', 'na', 'nil', 'not found', 'not available', 'unknown', '-'];
+
+// A label repeated in a number field: "H.No. 12", "No. 12", "#12" -> "12"
+const NUMBER_LABEL_REGEX = /^(?:(?:h\.?\s*no|house|flat|plot|room|building|block|ward|gali|zone|sector|no|number)\b\.?|#)\s*[:#\-]?\s*/i;
+// House, flat, sector... numbers: "10", "1-26", "A/25", "40B", or a block letter such as "C"
+const NUMBER_VALUE_REGEX = /^(?=.*\d|[a-z]{1,2}$)[a-z0-9]+(?:[\/\-. ][a-z0-9]+)*$/i;
+const NUMBER_MAX_LENGTH = 15;
+
+// key: output key; type: text | number | pin | enum; aliases: other keys accepted for it;
+// lenient (enum): an unknown value is dropped to null instead of failing validation
+const ADDRESS_SCHEMA = [
+    { key: 'H.no.', type: 'number', aliases: ['H.No.', 'H.no', 'House No.', 'HNo'] },
+    { key: 'Flat No.', type: 'number', aliases: ['Flat No', 'Flat'] },
+    { key: 'Plot No.', type: 'number', aliases: ['Plot No', 'Plot'] },
+    { key: 'Room No.', type: 'number', aliases: ['Room No', 'Room'] },
+    { key: 'Building No.', type: 'number', aliases: ['Building No'] },
+    { key: 'Block No.', type: 'number', aliases: ['Block No', 'Block'] },
+    { key: 'Ward No.', type: 'number', aliases: ['Ward No', 'Ward'] },
+    { key: 'Gali No.', type: 'number', aliases: ['Gali No', 'Gali'] },
+    { key: 'Zone No.', type: 'number', aliases: ['Zone No', 'Zone'] },
+    { key: 'Sector', type: 'number' },
+    { key: 'Colony', type: 'text' },
+    { key: 'Street', type: 'text' },
+    { key: 'Locality', type: 'text' },
+    { key: 'Building Name', type: 'text' },
+    { key: 'House Name', type: 'text' },
+    { key: 'Floor', type: 'text' },
+    { key: 'P.O.', type: 'text', aliases: ['PO', 'P.O', 'Post Office'] },
+    { key: 'Tehsil', type: 'text', aliases: ['Taluk', 'SubDistrict'] },
+    { key: 'DIST.', type: 'text', aliases: ['DIST', 'Dist', 'Dist.', 'District'] },
+    { key: 'State', type: 'text' },
+    { key: 'PIN', type: 'pin', aliases: ['Pin', 'Pincode', 'PIN Code'] },
+    { key: 'Landmark', type: 'text' },
+    { key: 'Remaining', type: 'text' },
+    { key: 'FormattedAddress', type: 'text', required: true, aliases: ['Formatted Address'] },
+    // Informational only, so an unlisted answer ("Industrial Area") is not worth a retry
+    { key: 'LocationType', type: 'enum', values: LOCATION_TYPE_VALUES, synonyms: LOCATION_TYPE_SYNONYMS, lenient: true },
+    { key: 'AddressQuality', type: 'enum', values: ADDRESS_QUALITY_VALUES, synonyms: ADDRESS_QUALITY_SYNONYMS },
+    { key: 'LocationSuitability', type: 'enum', values: LOCATION_SUITABILITY_VALUES, synonyms: LOCATION_SUITABILITY_SYNONYMS },
+];
+
+function isNullish(value) {
+    return value === null || value === undefined || (typeof value === 'string' && NULL_STRINGS.includes(value.trim().toLowerCase()));
+}
+
+function describe(value) {
+    return JSON.stringify(value);
+}
+
+// Returns { value, coerced, violation } for one field
+function normalizeField(field, value) {
+    if (isNullish(value)) {
+        if (field.required) return { value: null, violation: `"${field.key}" is required.` };
+        // An empty string is the LLM's usual "not found"; only report real substitutions
+        return { value: null, coerced: typeof value === 'string' && value.trim() !== '' };
+    }
+
+    if (Array.isArray(value)) {
+        // Lists (e.g. several landmarks) are joined the way the prompt asks for
+        const joined = value.filter(v => !isNullish(v)).map(v => String(v).trim()).join(', ');
+        const result = normalizeField(field, joined);
+        return { ...result, coerced: true };
+    }
+
+    if (typeof value === 'object') {
+        return { value: null, violation: `"${field.key}" must be a string, got an object.` };
+    }
+
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    const coerced = typeof value !== 'string' || text !== value;
+
+    switch (field.type) {
+        case 'pin': {
+            const digits = text.replace(/[\s-]/g, '');
+            if (!/^\d{6}$/.test(digits)) return { value: null, violation: `"PIN" must be a 6-digit string, got ${describe(value)}.` };
+            return { value: digits, coerced: coerced || digits !== text };
+        }
+        case 'number': {
+            const number = text.replace(NUMBER_LABEL_REGEX, '');
+            if (number.length > NUMBER_MAX_LENGTH || !NUMBER_VALUE_REGEX.test(number)) {
+                return { value: null, violation: `"${field.key}" must be a number or short code such as "12", "1-26" or "A/25"; got ${describe(value)}.` };
+            }
+            return { value: number, coerced: coerced || number !== text };
+        }
+        case 'enum': {
+            if (field.values.includes(text)) return { value: text, coerced };
+            const lower = text.toLowerCase();
+            const match = field.values.find(v => v.toLowerCase() === lower) || field.synonyms[lower];
+            if (match) return { value: match, coerced: true };
+            if (field.lenient) return { value: null, coerced: true };
+            return { value: null, violation: `"${field.key}" must be one of ${field.values.join(', ')}; got ${describe(value)}.` };
+        }
+        default:
+            // Whitespace cleanup on free text is not worth a remark
+            return { value: text, coerced: typeof value !== 'string' };
+    }
+}
+
+// Validates an already-parsed LLM object.
+// Returns { data, coercions: [message], violations: [message] }.
+function normalizeLlmOutput(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data: null, coercions: [], violations: ['Response must be a single JSON object.'] };
+    }
+
+    const data = {};
+    const coercions = [];
+    const violations = [];
+    const consumed = new Set();
+
+    ADDRESS_SCHEMA.forEach(field => {
+        const sourceKey = [field.key, ...(field.aliases || [])].find(k => Object.prototype.hasOwnProperty.call(raw, k));
+        const value = sourceKey === undefined ? null : raw[sourceKey];
+        if (sourceKey !== undefined) consumed.add(sourceKey);
+
+        if (sourceKey !== undefined && sourceKey !== field.key) {
+            coercions.push(`Key "${sourceKey}" renamed to "${field.key}".`);
+        }
+
+        if (sourceKey === undefined && field.required) {
+            violations.push(`"${field.key}" is missing.`);
+            data[field.key] = null;
+            return;
+        }
+
+        const result = normalizeField(field, value);
+        data[field.key] = result.value;
+        if (result.violation) {
+            violations.push(result.violation);
+        } else if (result.coerced) {
+            coercions.push(`${field.key} changed from ${describe(value)} to ${describe(result.value)}.`);
+        }
+    });
+
+    Object.keys(raw).filter(k => !consumed.has(k)).forEach(k => {
+        coercions.push(`Unexpected key "${k}" dropped.`);
+    });
+
+    return { data, coercions, violations };
+}
+
+// Strips markdown fences, parses and validates the raw LLM text
+function parseLlmOutput(text) {
+    let parsed;
+    try {
+        const jsonText = String(text || '').replace(/```json|```/g, '').trim();
+        parsed = JSON.parse(jsonText);
+    } catch (e) {
+        return { data: null, coercions: [], violations: [`Response is not valid JSON (${e.message}).`] };
+    }
+    return normalizeLlmOutput(parsed);
+}
+
+module.exports = { parseLlmOutput, normalizeLlmOutput, ADDRESS_QUALITY_VALUES, LOCATION_SUITABILITY_VALUES, LOCATION_TYPE_VALUES };
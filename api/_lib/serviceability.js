@@ -0,0 +1,86 @@
+// api/_lib/serviceability.js
+// Deterministic courier serviceability for a PIN, from the per-courier PIN lists
+// imported with scripts/import-serviceability.js (SERVICEABILITY_PATH, default
+// api/_data/serviceability.json): { "<courier>": { "<pin>": { cod, prepaid, oda, zone } } }.
+// Replaces the LLM's LocationSuitability guess whenever a matrix is loaded.
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const DEFAULT_MATRIX_PATH = path.join(__dirname, '..', '_data', 'serviceability.json');
+let matrix = null;
+
+function loadMatrix() {
+    if (matrix) return matrix;
+
+    const matrixPath = process.env.SERVICEABILITY_PATH || DEFAULT_MATRIX_PATH;
+    try {
+        matrix = JSON.parse(fs.readFileSync(matrixPath, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') log('error', 'data_file_error', { path: matrixPath, error: e.message });
+        matrix = {};
+    }
+    return matrix;
+}
+
+// "COD", "Cash on Delivery (COD)", "Unpaid", "Not paid" -> cod; "Prepaid", "Paid", "UPI", "Card" -> prepaid; else null.
+// COD and negated wording are checked first, so "unpaid" never counts as paid.
+function normalizePaymentMode(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    if (/\bcod\b|cash|\bunpaid\b|\bnot\s+(?:yet\s+)?paid\b|\bpay(?:ment)?\s+on\s+delivery\b/.test(text)) return 'cod';
+    if (/prepaid|\bpaid\b|online|upi|card|wallet|net\s*banking/.test(text)) return 'prepaid';
+    return null;
+}
+
+// Couriers in COURIER_PRIORITY order first, then the rest in matrix order
+function courierOrder(couriers) {
+    const priority = (process.env.COURIER_PRIORITY || '').split(',').map(name => name.trim().toLowerCase().replace(/[\s_-]+/g, '')).filter(Boolean);
+    const rank = courier => (priority.includes(courier) ? priority.indexOf(courier) : priority.length);
+    return couriers.map((courier, index) => ({ courier, index })).sort((a, b) => rank(a.courier) - rank(b.courier) || a.index - b.index);
+}
+
+// Returns null when no matrix is loaded or there is no PIN, otherwise
+// { pin, paymentMode, serviceable, recommendedCourier, couriers: [{ courier, serviceable, cod, prepaid, oda, zone }] }.
+// A courier is serviceable when it lists the PIN and allows the payment mode (either, when none is given).
+// The recommendation prefers regular delivery over ODA, then the lower zone, then courier priority.
+function checkServiceability(pin, paymentMode) {
+    const data = loadMatrix();
+    const couriers = Object.keys(data);
+    if (!couriers.length || !pin) return null;
+
+    const mode = normalizePaymentMode(paymentMode);
+    const results = courierOrder(couriers).map(({ courier }, order) => {
+        const entry = data[courier][pin];
+        if (!entry) return { courier, serviceable: false, cod: false, prepaid: false, oda: null, zone: null, order };
+        const allowed = mode === 'cod' ? entry.cod : mode === 'prepaid' ? entry.prepaid : (entry.cod || entry.prepaid);
+        return { courier, serviceable: Boolean(allowed), cod: Boolean(entry.cod), prepaid: Boolean(entry.prepaid), oda: Boolean(entry.oda), zone: entry.zone || null, order };
+    });
+
+    const ranked = results
+        .filter(result => result.serviceable)
+        .sort((a, b) => Number(a.oda) - Number(b.oda) ||
+            String(a.zone || '~').localeCompare(String(b.zone || '~')) ||
+            a.order - b.order);
+
+    return {
+        pin,
+        paymentMode: mode,
+        serviceable: ranked.length > 0,
+        recommendedCourier: ranked.length ? ranked[0].courier : null,
+        couriers: results.map(({ order, ...result }) => result),
+    };
+}
+
+// LocationSuitability from the matrix, always one of the schema's values: no courier ->
+// Non-Serviceable, ODA only -> Remote/Difficult. Regular service cannot tell a prime
+// location from a city, so the AI's estimate is kept when it is one of those two.
+function suitabilityFromServiceability(serviceability, estimate) {
+    if (!serviceability.serviceable) return 'Non-Serviceable Location';
+    const regular = serviceability.couriers.some(courier => courier.serviceable && !courier.oda);
+    if (!regular) return 'Remote/Difficult Location';
+    return estimate === 'Prime Location' ? 'Prime Location' : 'Tier 1 & 2 Cities';
+}
+
+module.exports = { checkServiceability, suitabilityFromServiceability, normalizePaymentMode };
@@ -0,0 +1,87 @@
+// api/_lib/stores/file-store.js
+// JSON-file key/value store for local runs and tests. One file per namespace;
+// on Vercel only the /tmp directory is writable, which is the default location.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { log } = require('../logger');
+
+function createFileStore({ namespace = 'default', directory = process.env.STORE_FILE_DIR || os.tmpdir() } = {}) {
+    const filePath = path.join(directory, `address-verification-${namespace}.json`);
+    let entries = null;
+    // Writes are chained so concurrent sets never interleave on disk
+    let writeChain = Promise.resolve();
+
+    function load() {
+        if (entries) return entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') log('error', 'store_error', { store: 'file', operation: 'read', path: filePath, error: e.message });
+            entries = {};
+        }
+        return entries;
+    }
+
+    function persist() {
+        const now = Date.now();
+        // Drop expired entries on every write so the file does not grow without limit
+        Object.keys(entries).forEach(key => {
+            if (entries[key].expiresAt && entries[key].expiresAt <= now) delete entries[key];
+        });
+        const snapshot = JSON.stringify(entries);
+        writeChain = writeChain
+            .then(() => fs.promises.mkdir(directory, { recursive: true }))
+            .then(() => fs.promises.writeFile(filePath, snapshot))
+            .catch(e => log('error', 'store_error', { store: 'file', operation: 'write', path: filePath, error: e.message }));
+        return writeChain;
+    }
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            const entry = load()[key];
+            if (!entry) return null;
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                delete entries[key];
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            load()[key] = { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+            await persist();
+        },
+
+        async delete(key) {
+            delete load()[key];
+            await persist();
+        },
+
+        // Not atomic across processes; fine for the single-process local runs this store is for
+        async increment(key, amount = 1, ttlSeconds) {
+            const current = await this.get(key);
+            if (current === null) {
+                await this.set(key, amount, ttlSeconds);
+                return amount;
+            }
+            entries[key].value = current + amount;
+            await persist();
+            return current + amount;
+        },
+
+        // Checked and set without yielding: atomic within this process, like increment is not across processes
+        async acquire(key, ttlSeconds) {
+            const entry = load()[key];
+            if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) return false;
+            entries[key] = { value: true, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+            await persist();
+            return true;
+        },
+    };
+}
+
+module.exports = { createFileStore };
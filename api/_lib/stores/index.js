@@ -0,0 +1,31 @@
+// api/_lib/stores/index.js
+// Pluggable key/value storage. Every store exposes async get(key),
+// set(key, value, ttlSeconds), delete(key), increment(key, amount, ttlSeconds)
+// (a counter whose TTL starts with its first increment) and acquire(key, ttlSeconds)
+// (sets the key only when it is absent, always with its TTL: a lease), and never
+// throws on I/O errors; increment resolves to null when the count is unknown and
+// acquire to false when the store cannot tell.
+// Select a backend with STORE_BACKEND=memory|file|kv (default: memory).
+
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createKvStore } = require('./kv-store');
+const { log } = require('../logger');
+
+const factories = {
+    memory: createMemoryStore,
+    file: createFileStore,
+    kv: createKvStore,
+};
+
+function createStore(namespace, backend = process.env.STORE_BACKEND) {
+    const key = String(backend || 'memory').trim().toLowerCase();
+    const factory = factories[key];
+    if (!factory) {
+        log('warn', 'config_error', { message: `Unknown STORE_BACKEND "${backend}", using memory.` });
+        return createMemoryStore({ namespace });
+    }
+    return factory({ namespace });
+}
+
+module.exports = { createStore };
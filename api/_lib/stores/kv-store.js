@@ -0,0 +1,87 @@
+// api/_lib/stores/kv-store.js
+// Redis-compatible KV store over the REST API used by Vercel KV and Upstash
+// (KV_REST_API_URL / KV_REST_API_TOKEN). Values are stored as JSON strings.
+
+const { log } = require('../logger');
+
+function createKvStore({ namespace = 'default' } = {}) {
+    const baseUrl = (process.env.KV_REST_API_URL || '').replace(/\/+$/, '');
+    const token = process.env.KV_REST_API_TOKEN;
+
+    async function command(args) {
+        if (!baseUrl || !token) {
+            throw new Error("KV_REST_API_URL and KV_REST_API_TOKEN must be set for the kv store.");
+        }
+        const response = await fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args)
+        });
+        const result = await response.json();
+        if (response.status !== 200 || result.error) {
+            throw new Error(`KV Error: ${result.error || response.status}`);
+        }
+        return result.result;
+    }
+
+    const prefixed = key => `${namespace}:${key}`;
+
+    return {
+        name: 'kv',
+
+        async get(key) {
+            try {
+                const raw = await command(['GET', prefixed(key)]);
+                return raw === null || raw === undefined ? null : JSON.parse(raw);
+            } catch (e) {
+                log('error', 'store_error', { store: 'kv', operation: 'read', error: e.message });
+                return null;
+            }
+        },
+
+        async set(key, value, ttlSeconds) {
+            const args = ['SET', prefixed(key), JSON.stringify(value)];
+            if (ttlSeconds) args.push('EX', String(Math.ceil(ttlSeconds)));
+            try {
+                await command(args);
+            } catch (e) {
+                log('error', 'store_error', { store: 'kv', operation: 'write', error: e.message });
+            }
+        },
+
+        async delete(key) {
+            try {
+                await command(['DEL', prefixed(key)]);
+            } catch (e) {
+                log('error', 'store_error', { store: 'kv', operation: 'delete', error: e.message });
+            }
+        },
+
+        // INCRBY is atomic, so concurrent functions share one count
+        async increment(key, amount = 1, ttlSeconds) {
+            try {
+                const value = await command(['INCRBY', prefixed(key), String(amount)]);
+                if (ttlSeconds && Number(value) === amount) {
+                    await command(['EXPIRE', prefixed(key), String(Math.ceil(ttlSeconds))]);
+                }
+                return Number(value);
+            } catch (e) {
+                log('error', 'store_error', { store: 'kv', operation: 'increment', error: e.message });
+                return null;
+            }
+        },
+
+        // SET NX EX: the key and its expiry in one command, so a crash cannot leave a lease that never expires
+        async acquire(key, ttlSeconds) {
+            try {
+                const reply = await command(['SET', prefixed(key), JSON.stringify(true), 'NX', 'EX', String(Math.ceil(ttlSeconds))]);
+                return reply === 'OK';
+            } catch (e) {
+                log('error', 'store_error', { store: 'kv', operation: 'acquire', error: e.message });
+                return false;
+            }
+        },
+    };
+}
+
+module.exports = { createKvStore };
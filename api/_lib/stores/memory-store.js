@@ -0,0 +1,48 @@
+// api/_lib/stores/memory-store.js
+// Process-local key/value store. Lost on every cold start; the default backend.
+
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async increment(key, amount = 1, ttlSeconds) {
+            const current = await this.get(key);
+            if (current === null) {
+                await this.set(key, amount, ttlSeconds);
+                return amount;
+            }
+            entries.get(key).value = current + amount;
+            return current + amount;
+        },
+
+        // Checked and set without yielding, so two callers in this process cannot both get it
+        async acquire(key, ttlSeconds) {
+            const entry = entries.get(key);
+            if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) return false;
+            entries.set(key, { value: true, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+            return true;
+        },
+    };
+}
+
+module.exports = { createMemoryStore };
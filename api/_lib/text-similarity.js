@@ -0,0 +1,58 @@
+// api/_lib/text-similarity.js
+// Small fuzzy-matching helpers for comparing place names typed by customers
+// with official names (post offices, districts, ...).
+
+const { hasIndicText, romanizeIndic, normalizeDigits } = require('./indic-text');
+
+// Words that carry no locating information on their own
+const STOP_WORDS = new Set([
+    'the', 'and', 'of', 'near', 'opp', 'opposite', 'behind', 'house', 'no', 'h', 'flat', 'floor',
+    'road', 'rd', 'street', 'lane', 'po', 'p', 'o', 'post', 'office', 'dist', 'district', 'tehsil',
+    'tq', 'state', 'india', 'pin', 'code', 'pincode', 's', 'b', 'ho', 'so', 'bo',
+]);
+
+// Indic-script words are romanized first, so "चंडीगढ़" compares with "Chandigarh"
+function normalizeText(text) {
+    const latin = hasIndicText(text) ? romanizeIndic(normalizeDigits(text)) : String(text || '');
+    return latin.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function tokenize(text) {
+    // Single digits stay: "Sector 4" and "Sector 40" must not look alike
+    return normalizeText(text).split(' ').filter(token => (token.length > 1 || /\d/.test(token)) && !STOP_WORDS.has(token));
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 0..1, where 1 means identical after normalization
+function stringSimilarity(a, b) {
+    const left = normalizeText(a);
+    const right = normalizeText(b);
+    if (!left || !right) return 0;
+    return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+// Fraction of `needle` tokens that appear (fuzzily) among `haystack` tokens, 0..1
+function tokenCoverage(needleTokens, haystackTokens, threshold = 0.8) {
+    if (!needleTokens.length) return 0;
+    const found = needleTokens.filter(needle =>
+        haystackTokens.some(token => token === needle || stringSimilarity(token, needle) >= threshold));
+    return found.length / needleTokens.length;
+}
+
+module.exports = { normalizeText, tokenize, levenshtein, stringSimilarity, tokenCoverage };
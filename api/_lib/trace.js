@@ -0,0 +1,52 @@
+// api/_lib/trace.js
+// What happened during one verification: time spent per stage, where each PIN's
+// post-office data came from (offline directory, cache, India Post), LLM token
+// usage, and the decisions taken on the way to the final PIN. Logged once per
+// verification and returned to debug callers.
+
+const { getContext } = require('./logger');
+
+function createTrace() {
+    const startedAt = Date.now();
+    const stages = {}; // stage -> ms
+    const pinLookups = []; // [{ pin, source, status }]
+    const decisions = []; // [{ step, decision, ...data }]
+    let usage = null; // { promptTokens, outputTokens, totalTokens }, summed over calls
+
+    return {
+        // Awaits fn() and adds its duration to the stage (a stage may run more than once)
+        async time(stage, fn) {
+            const start = Date.now();
+            try {
+                return await fn();
+            } finally {
+                stages[stage] = (stages[stage] || 0) + (Date.now() - start);
+            }
+        },
+
+        pinLookup(pin, source, status) {
+            pinLookups.push({ pin, source, status });
+        },
+
+        addUsage(callUsage) {
+            if (!callUsage) return;
+            usage = usage || { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+            Object.keys(usage).forEach(key => { usage[key] += Number(callUsage[key]) || 0; });
+        },
+
+        decide(step, decision, data = {}) {
+            decisions.push({ step, decision, ...data });
+        },
+
+        toJSON() {
+            return { totalMs: Date.now() - startedAt, stages, pinLookups, usage, decisions };
+        },
+    };
+}
+
+// The trace of the verification running in this async context, or null
+function currentTrace() {
+    return getContext().trace || null;
+}
+
+module.exports = { createTrace, currentTrace };
@@ -0,0 +1,48 @@
+// api/_lib/validation.js
+// Request validation for the address and name fields: types, maximum lengths
+// and control characters. Cleaned values are what the pipeline and the prompt see.
+
+const MAX_ADDRESS_LENGTH = 500;
+const MAX_NAME_LENGTH = 100;
+
+// C0/C1 controls (tabs and newlines become spaces first), zero-width and bidi-override characters
+const CONTROL_CHARACTERS = /[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+function cleanText(value) {
+    return value
+        .normalize('NFC') // One encoding per Indic letter ("ज़" precomposed or with a nukta)
+        .replace(/[\t\r\n]+/g, ' ')
+        .replace(CONTROL_CHARACTERS, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Returns { value: { address, customerName } } or { error } for a 400
+function validateVerificationInput({ address, customerName } = {}) {
+    if (address === undefined || address === null || address === '') {
+        return { error: "Address is required." };
+    }
+    if (typeof address !== 'string') {
+        return { error: "Address must be a string." };
+    }
+    if (customerName !== undefined && customerName !== null && typeof customerName !== 'string') {
+        return { error: "customerName must be a string." };
+    }
+
+    const cleanAddress = cleanText(address);
+    const cleanName = cleanText(customerName || '');
+
+    if (!cleanAddress) {
+        return { error: "Address is required." };
+    }
+    if (cleanAddress.length > MAX_ADDRESS_LENGTH) {
+        return { error: `Address must be at most ${MAX_ADDRESS_LENGTH} characters (got ${cleanAddress.length}).` };
+    }
+    if (cleanName.length > MAX_NAME_LENGTH) {
+        return { error: `customerName must be at most ${MAX_NAME_LENGTH} characters (got ${cleanName.length}).` };
+    }
+
+    return { value: { address: cleanAddress, customerName: cleanName } };
+}
+
+module.exports = { validateVerificationInput, MAX_ADDRESS_LENGTH, MAX_NAME_LENGTH };
@@ -0,0 +1,374 @@
+// api/_lib/verify.js
+// Core verification pipeline shared by the single-address and batch endpoints.
+
+const { getIndiaPostData, extractPin } = require('./india-post');
+const { processAddress, retryWithCorrection } = require('./prompt');
+const { parseLlmOutput } = require('./schema');
+const { parseAddressWithRules } = require('./rules-parser');
+const { matchPostOffice } = require('./post-office-match');
+const { checkPinConsistency } = require('./pin-consistency');
+const { buildComponents } = require('./components');
+const { validateVerificationInput } = require('./validation');
+const { detectLanguage, normalizeDigits, romanizeIndic } = require('./indic-text');
+const { findUngroundedComponents, removeComponents, NUMBER_KEYS } = require('./grounding');
+const { COURIER_PROFILES, getCourierProfile, splitAddressLines } = require('./courier-lines');
+const { meaninglessRegex } = require('./keywords');
+const { buildLandmarks, formatLandmark } = require('./landmarks');
+const { geocode, locatePin, distanceKm } = require('./geocode');
+const { checkServiceability, suitabilityFromServiceability } = require('./serviceability');
+const { SEVERITY, REMARK_CODES, createRemark, computeConfidence } = require('./remarks');
+const { log, isLevelEnabled, getContext, runWithContext } = require('./logger');
+const { createTrace } = require('./trace');
+const { extractAddressContacts, normalizeCustomerName } = require('./contacts');
+
+// The verification pipeline. Records timings and decisions on `trace`, and the
+// prompts and raw LLM replies on `details` (returned to debug callers only).
+async function runVerification(rawAddress, rawCustomerName, options, trace, details) {
+    try {
+        const remarks = []; // Structured { code, severity, message, data } entries
+        const addRemark = (code, severity, message, data) => remarks.push(createRemark(code, severity, message, data));
+        
+        // Types, lengths and control characters; everything below sees the cleaned values
+        const input = validateVerificationInput({ address: rawAddress, customerName: rawCustomerName });
+        if (input.error) {
+            return { statusCode: 400, body: { status: "Error", error: input.error } };
+        }
+        const { customerName } = input.value;
+        // Script/language as typed; native digits ("१६००३०") become ASCII for everything below
+        const inputLanguage = detectLanguage(input.value.address);
+        // Phone numbers and "C/o Ramesh" come out before parsing, so they never reach addressLine1
+        const contacts = extractAddressContacts(normalizeDigits(input.value.address));
+        const address = contacts.address;
+        if (!address) {
+            return { statusCode: 400, body: { status: "Error", error: "Address has only contact details (phone number or care-of name)." } };
+        }
+        const isLatin = inputLanguage.script === 'Latin' || inputLanguage.script === null;
+
+        const courierProfile = options.courierProfile ? getCourierProfile(options.courierProfile) : null;
+        if (options.courierProfile && !courierProfile) {
+            return { statusCode: 400, body: { status: "Error", error: `Unknown courierProfile "${options.courierProfile}". Use one of: ${Object.keys(COURIER_PROFILES).join(', ')}.` } };
+        }
+
+        const warehousePin = options.warehousePin ? String(options.warehousePin).trim() : (process.env.WAREHOUSE_PIN || null);
+        if (warehousePin && !/^[1-9]\d{5}$/.test(warehousePin)) {
+            return { statusCode: 400, body: { status: "Error", error: `warehousePin must be a 6-digit PIN, got "${warehousePin}".` } };
+        }
+
+        // Honorifics dropped; a relation written into the name ("S/o Shyam Lal") wins over one in the address
+        const nameContacts = normalizeCustomerName(normalizeDigits(customerName));
+        const cleanedName = nameContacts.name;
+        const careOf = nameContacts.careOf || contacts.careOf;
+        const phones = [...new Set([...nameContacts.phones, ...contacts.phones])];
+        const invalidPhones = [...nameContacts.invalidPhones, ...contacts.invalidPhones];
+        if (phones.length) {
+            addRemark(REMARK_CODES.PHONE_EXTRACTED, SEVERITY.INFO, `Phone number ${phones.join(', ')} removed from the name/address and returned as phone.`, { phones });
+        }
+        if (invalidPhones.length) {
+            addRemark(REMARK_CODES.PHONE_INVALID, SEVERITY.WARNING, `Not a valid Indian mobile number, removed from the name/address: ${invalidPhones.join(', ')}.`, { invalidPhones });
+        }
+        const initialPin = extractPin(address);
+        let postalData = { PinStatus: 'Error' };
+        
+        if (initialPin) {
+            postalData = await trace.time('pin_lookup', () => getIndiaPostData(initialPin));
+        }
+        details.initialPostalData = postalData;
+
+        // 1. Call the configured LLM provider
+        const llmResult = await trace.time('llm', () => processAddress(address, postalData));
+        trace.addUsage(llmResult.usage);
+        details.prompt = llmResult.prompt;
+        details.llmOutput = llmResult.text || null;
+        let parsedData;
+        let source = 'llm';
+
+        if (llmResult.error || !llmResult.text) {
+            // LLM unavailable (no key, quota, network): fall back to the rule-based parser
+            const reason = llmResult.error || "LLM provider failed to return text.";
+            log('warn', 'llm_fallback', { provider: llmResult.provider, reason });
+            trace.decide('parser', 'rules_llm_unavailable');
+            addRemark(REMARK_CODES.LLM_UNAVAILABLE, SEVERITY.WARNING, `AI unavailable, address parsed with offline rules: ${reason}`, { provider: llmResult.provider, reason });
+            // The rules only read English words, so Indic-script addresses are romanized first
+            parsedData = parseAddressWithRules(isLatin ? address : romanizeIndic(address), postalData);
+            source = 'rules';
+        } else {
+            // 2. Parse and validate the LLM JSON output against the schema
+            let outcome = parseLlmOutput(llmResult.text);
+            let rawText = llmResult.text;
+
+            if (outcome.violations.length) {
+                // Retry once with a corrective prompt listing what was wrong
+                log('warn', 'llm_schema_violations', { provider: llmResult.provider, violations: outcome.violations });
+                const retryResult = await trace.time('llm_retry', () => retryWithCorrection(address, postalData, llmResult.text, outcome.violations));
+                trace.addUsage(retryResult.usage);
+                details.retryPrompt = retryResult.prompt;
+                details.retryOutput = retryResult.text || null;
+                if (!retryResult.error && retryResult.text) {
+                    const retryOutcome = parseLlmOutput(retryResult.text);
+                    if (retryOutcome.data && retryOutcome.violations.length <= outcome.violations.length) {
+                        outcome = retryOutcome;
+                        rawText = retryResult.text;
+                    }
+                }
+            }
+
+            if (!outcome.data) {
+                // VITAL: Add critical alert for JSON failure
+                addRemark(REMARK_CODES.JSON_PARSE_FAILED, SEVERITY.CRITICAL, `JSON parse failed. Raw LLM Output: ${rawText.substring(0, 50)}...`, { violations: outcome.violations });
+                // Continue with the rule-based parser
+                trace.decide('parser', 'rules_llm_output_unparseable');
+                parsedData = parseAddressWithRules(isLatin ? address : romanizeIndic(address), postalData);
+                source = 'rules';
+            } else {
+                trace.decide('parser', rawText === llmResult.text ? 'llm' : 'llm_after_retry');
+                parsedData = outcome.data;
+                if (outcome.violations.length) {
+                    addRemark(REMARK_CODES.SCHEMA_VIOLATION, SEVERITY.CRITICAL, `AI output failed validation after retry: ${outcome.violations.join(' ')}`, { violations: outcome.violations });
+                }
+                outcome.coercions.forEach(message => addRemark(REMARK_CODES.OUTPUT_NORMALIZED, SEVERITY.INFO, `AI output normalized: ${message}`));
+            }
+        }
+
+        // 3. --- PIN VERIFICATION & CORRECTION LOGIC ---
+        let finalPin = String(parsedData.PIN).match(/\b\d{6}\b/) ? parsedData.PIN : initialPin;
+        let pinVerified = false; // Reported after the consistency check below
+
+        if (finalPin) {
+            // Re-run India Post lookup if PIN is different or original lookup failed
+            if (postalData.PinStatus !== 'Success' || (initialPin && finalPin !== initialPin)) {
+                const aiPostalData = await trace.time('pin_relookup', () => getIndiaPostData(finalPin));
+
+                if (aiPostalData.PinStatus === 'Success') {
+                    // AI PIN is valid, use its data for the Post Office details
+                    postalData = aiPostalData;
+                    
+                    // Add PIN correction remarks
+                    if (initialPin && initialPin !== finalPin) {
+                        trace.decide('pin', 'corrected', { from: initialPin, to: finalPin });
+                        addRemark(REMARK_CODES.PIN_CORRECTED, SEVERITY.CRITICAL, `Wrong PIN (${initialPin}) corrected to (${finalPin}).`, { from: initialPin, to: finalPin });
+                    } else if (!initialPin) {
+                        trace.decide('pin', 'added', { pin: finalPin });
+                        addRemark(REMARK_CODES.PIN_ADDED, SEVERITY.INFO, `Correct PIN (${finalPin}) added by AI.`, { pin: finalPin });
+                    } else {
+                        // Same PIN; only the first lookup had failed
+                        trace.decide('pin', 'verified_on_relookup', { pin: finalPin });
+                    }
+                } else {
+                    // AI PIN also failed API check, warn the user and revert PIN if possible
+                    trace.decide('pin', 'unverified_reverted', { tried: finalPin, revertedTo: initialPin || null });
+                    addRemark(REMARK_CODES.PIN_UNVERIFIED, SEVERITY.CRITICAL, `${source === 'rules' ? 'PIN' : 'AI-provided PIN'} (${finalPin}) not verified by API.`, { pin: finalPin });
+                    finalPin = initialPin; // Revert to original, which might be valid or invalid
+                }
+            } else if (initialPin && postalData.PinStatus === 'Success') {
+                trace.decide('pin', 'input_verified', { pin: initialPin });
+                pinVerified = true;
+            }
+        } else {
+            // If neither original nor AI could find a valid PIN
+            trace.decide('pin', 'not_found');
+            addRemark(REMARK_CODES.PIN_NOT_FOUND, SEVERITY.CRITICAL, "PIN not found after verification attempts. Manual check needed.");
+            finalPin = initialPin || null; // Fallback to initialPin even if invalid, for user reference
+        }
+        
+        // 3.1. --- Grounding Check ---
+        // LLM components must come from the address or the India Post data for the final PIN;
+        // anything else is invented (hallucination or instructions inside the address)
+        if (source === 'llm') {
+            const ungrounded = findUngroundedComponents(parsedData, address, postalData, { checkText: isLatin });
+            if (ungrounded.length) {
+                parsedData = removeComponents(parsedData, ungrounded);
+                const inventedNumber = ungrounded.some(({ key }) => NUMBER_KEYS.includes(key));
+                addRemark(REMARK_CODES.UNGROUNDED_COMPONENT, inventedNumber ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+                    `AI output removed, not found in the address or India Post data: ${ungrounded.map(({ key, value }) => `${key} "${value}"`).join(', ')}.`,
+                    { components: ungrounded });
+            }
+        }
+
+        // 3.2. --- Post Office Disambiguation ---
+        // Score every post office for the PIN against the address and the AI's P.O./Tehsil pick
+        const postOfficeMatch = postalData.PinStatus === 'Success'
+            // Rule-parsed P.O. was itself picked from this list, so it is not an independent signal
+            ? matchPostOffice(address, source === 'llm' ? parsedData : null, postalData.PostOfficeList)
+            : null;
+        const primaryPostOffice = postOfficeMatch ? postOfficeMatch.best : {};
+
+        if (postOfficeMatch && postOfficeMatch.ambiguous) {
+            const runnerUp = postOfficeMatch.candidates[0];
+            const crossesTaluk = runnerUp.taluk !== primaryPostOffice.Taluk || runnerUp.district !== primaryPostOffice.District;
+            // Only a CRITICAL_ALERT when the alternatives would change the tehsil or district
+            addRemark(REMARK_CODES.POST_OFFICE_AMBIGUOUS, crossesTaluk ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+                `Post office is ambiguous: chose ${primaryPostOffice.Name} (score ${postOfficeMatch.score}) over ${runnerUp.name} (score ${runnerUp.score}).`,
+                { chosen: primaryPostOffice.Name, score: postOfficeMatch.score, runnerUp });
+        }
+
+        // 3.3. --- PIN Consistency Check ---
+        // The PIN must agree with the city/district/state written in the raw address
+        const pinConsistency = await trace.time('pin_consistency', () => checkPinConsistency(address, finalPin, postalData));
+        trace.decide('pin_consistency', pinConsistency.status);
+
+        if (pinConsistency.status === 'conflict') {
+            const candidates = pinConsistency.candidatePins.length ? ` Candidate PINs: ${pinConsistency.candidatePins.join(', ')}.` : '';
+            addRemark(REMARK_CODES.PIN_MISMATCH, SEVERITY.CRITICAL, `PIN (${finalPin}) does not match the address. ${pinConsistency.conflicts.join(' ')}${candidates}`,
+                { pin: finalPin, conflicts: pinConsistency.conflicts, candidatePins: pinConsistency.candidatePins });
+        } else {
+            if (pinConsistency.status === 'partial') {
+                addRemark(REMARK_CODES.PIN_PARTIAL_MATCH, SEVERITY.WARNING, `PIN (${finalPin}) partly matches the address: ${pinConsistency.conflicts.join(' ')}`,
+                    { pin: finalPin, conflicts: pinConsistency.conflicts });
+            }
+            if (pinVerified) {
+                addRemark(REMARK_CODES.PIN_VERIFIED, SEVERITY.INFO, `PIN (${initialPin}) verified successfully.`, { pin: initialPin });
+            }
+        }
+
+        // 3.5. --- Short Address Check ---
+        if (parsedData.FormattedAddress && parsedData.FormattedAddress.length < 35 && parsedData.AddressQuality !== 'Very Good' && parsedData.AddressQuality !== 'Good') {
+             addRemark(REMARK_CODES.SHORT_ADDRESS, SEVERITY.CRITICAL, `Formatted address is short (${parsedData.FormattedAddress.length} chars). Manual verification recommended.`,
+                { length: parsedData.FormattedAddress.length });
+        }
+
+
+        // 4. --- Landmarks, each with the directional word written next to it ---
+        const landmarks = buildLandmarks(parsedData.Landmark, address);
+        const finalLandmark = landmarks.map(formatLandmark).join(', ');
+        
+        // Final Remarks cleanup and addition
+        if (parsedData.Remaining && parsedData.Remaining.trim() !== '') {
+            addRemark(REMARK_CODES.AMBIGUOUS_TEXT, SEVERITY.WARNING, `Remaining/Ambiguous Text: ${parsedData.Remaining.trim()}`, { text: parsedData.Remaining.trim() });
+        } else if (remarks.length === 0) {
+            addRemark(REMARK_CODES.VERIFIED, SEVERITY.INFO, 'Address verified and formatted successfully.');
+        }
+
+
+        // 5. Construct the Final JSON Response
+        const postOffice = primaryPostOffice.Name || parsedData['P.O.'] || '';
+        const tehsil = primaryPostOffice.Taluk || parsedData.Tehsil || '';
+        const district = primaryPostOffice.District || parsedData['DIST.'] || '';
+        const state = primaryPostOffice.State || parsedData.State || '';
+        const addressLine1 = parsedData.FormattedAddress || address.replace(meaninglessRegex, '').trim() || '';
+        const components = buildComponents(parsedData, { landmark: finalLandmark, postOffice, tehsil, district, state, pin: finalPin });
+
+        // 4.5. --- Courier Address Lines (only when a courier profile was requested) ---
+        const courierLines = courierProfile ? splitAddressLines(components, landmarks.map(formatLandmark), addressLine1, courierProfile) : null;
+        if (courierLines && courierLines.overflow) {
+            addRemark(REMARK_CODES.ADDRESS_LINES_OVERFLOW, SEVERITY.WARNING,
+                `Address does not fit ${courierProfile.lines} lines of ${courierProfile.maxLength} characters for ${courierProfile.name}. Shorten the last line manually.`,
+                { profile: courierProfile.name, maxLength: courierProfile.maxLength });
+        }
+
+        // 4.6. --- Offline Geocoding (approximate, from the bundled PIN/locality data) ---
+        const coordinates = geocode({
+            pin: finalPin,
+            postOffice: primaryPostOffice.Name || String(parsedData['P.O.'] || '').replace(/^p\.?\s*o\.?\s*/i, ''),
+            localities: [components.locality, components.colony, components.sector && `Sector ${components.sector}`],
+        });
+        const warehouseLocation = warehousePin ? locatePin(warehousePin) : null;
+        const warehouse = warehousePin ? {
+            pin: warehousePin,
+            // Straight-line km from the warehouse PIN centroid; null unless both ends have coordinates
+            distanceKm: coordinates && warehouseLocation ? distanceKm(warehouseLocation, coordinates) : null,
+        } : null;
+
+        // 4.7. --- Courier Serviceability (only when a serviceability matrix is loaded) ---
+        const serviceability = checkServiceability(finalPin, options.paymentMode);
+        if (serviceability && !serviceability.serviceable) {
+            addRemark(REMARK_CODES.NOT_SERVICEABLE, SEVERITY.CRITICAL,
+                `No courier serves PIN ${finalPin}${serviceability.paymentMode ? ` for ${serviceability.paymentMode.toUpperCase()}` : ''}. Do not dispatch.`,
+                { pin: finalPin, paymentMode: serviceability.paymentMode });
+        } else if (serviceability && suitabilityFromServiceability(serviceability) === 'Remote/Difficult Location') {
+            addRemark(REMARK_CODES.ODA_ONLY, SEVERITY.WARNING, `PIN ${finalPin} is served only as ODA (out of delivery area); expect extra charges and delays.`,
+                { pin: finalPin, recommendedCourier: serviceability.recommendedCourier });
+        }
+
+        const finalResponse = {
+            status: "Success",
+            source, // "llm" or "rules"
+            provider: source === 'llm' ? llmResult.provider : null,
+            customerRawName: customerName,
+            customerCleanName: cleanedName,
+            careOf, // { relation: "S/o" | "D/o" | "W/o" | "C/o", name } or null
+            phone: phones[0] || null, // "+919876543210"; every number is in the PHONE_EXTRACTED remark
+            inputLanguage, // { code, name, script, scripts } detected from the raw address
+            
+            // Core Address Components
+            addressLine1,
+            landmark: finalLandmark, // "Opposite SBI, Behind Gurudwara"
+            landmarks, // [{ relation, name }]
+            
+            // Geographic Components (Prioritize India Post verification)
+            postOffice,
+            tehsil,
+            district,
+            state,
+            pin: finalPin, // <<< UPDATED
+
+            // Every parsed component (H.no., Floor, Colony...), with the verified geography above
+            components,
+            courierLines,
+            coordinates, // { lat, lng, precision: locality | post_office | pincode } or null
+            warehouse,
+            postOfficeMatch: postOfficeMatch ? {
+                score: postOfficeMatch.score,
+                ambiguous: postOfficeMatch.ambiguous,
+                candidates: postOfficeMatch.candidates,
+            } : null,
+            pinConsistency,
+
+            // Quality/Verification Metrics
+            addressQuality: parsedData.AddressQuality || 'Medium',
+            confidence: computeConfidence(remarks, parsedData.AddressQuality || 'Medium'),
+            locationType: parsedData.LocationType || 'Unknown',
+            // Deterministic from the serviceability matrix when one is loaded, else the AI's estimate
+            locationSuitability: serviceability ? suitabilityFromServiceability(serviceability, parsedData.LocationSuitability) : (parsedData.LocationSuitability || 'Unknown'),
+            serviceability,
+            
+            // Remarks: structured list; X-Api-Version: 1 callers get the legacy string
+            remarks,
+        };
+
+        return { statusCode: 200, body: finalResponse };
+
+    } catch (e) {
+        log('error', 'internal_error', { error: e });
+        return { statusCode: 500, body: { status: "Error", error: `Internal Server Error: ${e.message}` } };
+    }
+}
+
+// Verifies one raw address. Resolves to { statusCode, body } so each endpoint
+// can decide how to send it (directly, or as one row of a batch). The body
+// carries the request ID; one "verification" log line records the trace.
+// options.courierProfile: also split the address into that courier's address lines.
+// options.warehousePin: report the distance from that PIN (default: WAREHOUSE_PIN).
+// options.paymentMode: "cod" or "prepaid", for the courier serviceability check.
+// options.debug: add the prompts, raw LLM replies and trace as body.debug (callers check authorization).
+async function verifyAddress(rawAddress, rawCustomerName, options = {}) {
+    const trace = createTrace();
+    const details = {};
+    const { statusCode, body } = await runWithContext({ trace }, () => runVerification(rawAddress, rawCustomerName, options, trace, details));
+    const { requestId } = getContext();
+
+    log(statusCode >= 500 ? 'error' : (statusCode >= 400 ? 'warn' : 'info'), 'verification', {
+        statusCode,
+        ...(statusCode === 200 ? {
+            source: body.source,
+            provider: body.provider,
+            pin: body.pin,
+            addressQuality: body.addressQuality,
+            confidence: body.confidence,
+            remarkCodes: body.remarks.map(remark => remark.code),
+        } : { error: body.error }),
+        ...trace.toJSON(),
+        // Raw replies can hold customer details; only at LOG_LEVEL=debug
+        ...(isLevelEnabled('debug') ? { llmOutput: details.llmOutput, retryOutput: details.retryOutput } : {}),
+    });
+
+    return {
+        statusCode,
+        body: {
+            requestId: requestId || null,
+            ...body,
+            ...(options.debug ? { debug: { ...details, trace: trace.toJSON() } } : {}),
+        },
+    };
+}
+
+module.exports = { verifyAddress };
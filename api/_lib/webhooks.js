@@ -0,0 +1,152 @@
+// api/_lib/webhooks.js
+// Signed webhook callbacks. Each delivery is a JSON POST with:
+//   X-Webhook-Id         the job ID (the same on every retry, for de-duplication)
+//   X-Webhook-Timestamp  Unix seconds when this attempt was signed
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256(WEBHOOK_SECRET, "<timestamp>.<raw body>")
+// Receivers should recompute the signature over the raw body, compare it in
+// constant time and reject timestamps more than a few minutes old.
+//
+// Callback hosts must resolve to public addresses: loopback, private, link-local
+// (cloud metadata at 169.254.169.254) and other reserved ranges are refused when
+// the job is created and again on every delivery, against the address actually
+// connected to, so a DNS change cannot point a delivery inside our network.
+// For local testing only: WEBHOOK_ALLOW_HTTP=true allows plain-http URLs and
+// WEBHOOK_ALLOW_PRIVATE=true allows non-public addresses.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { log } = require('./logger');
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Addresses a callback may never reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+    ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function getWebhookSecret() {
+    return process.env.WEBHOOK_SECRET || null;
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function isPublicAddress(address) {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') return true;
+    // "::ffff:10.0.0.1" is an IPv4 address in IPv6 form (the hex form "::ffff:a00:1" is blocked outright)
+    const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup() that fails for non-public addresses; given to the request as its
+// lookup, so the check applies to the address the connection is made to
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address}).`));
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Hostname without the brackets of an IPv6 literal
+function hostOf(url) {
+    return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+// Resolves to null when the URL's host is public, else the reason it is not
+async function checkHost(url) {
+    const host = hostOf(url);
+    if (net.isIP(host)) return isPublicAddress(host) ? null : `${host} is not a public address.`;
+    return new Promise(resolve => {
+        publicLookup(host, { all: true }, error => resolve(error ? error.message : null));
+    });
+}
+
+// Resolves to { url } (normalized), or { error } for a 400
+async function validateWebhookUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) return { error: "webhookUrl must be a URL string." };
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (e) {
+        return { error: `webhookUrl is not a valid URL: "${value}".` };
+    }
+    const allowHttp = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        return { error: "webhookUrl must use https." };
+    }
+    if (url.username || url.password) {
+        return { error: "webhookUrl must not contain credentials." };
+    }
+    if (!getWebhookSecret()) {
+        return { error: "Webhooks are not configured on this server (WEBHOOK_SECRET is not set)." };
+    }
+    const hostError = await checkHost(url);
+    if (hostError) return { error: `webhookUrl is not allowed: ${hostError}` };
+    return { url: url.toString() };
+}
+
+// POSTs body to url through publicLookup; resolves to the status code. Redirects are not followed.
+function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup,
+            timeout: WEBHOOK_TIMEOUT_MS,
+        }, response => {
+            response.resume(); // The reply body is not used
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(new Error(`No reply within ${WEBHOOK_TIMEOUT_MS} ms.`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// One delivery attempt. Resolves to { ok: true } or { ok: false, error }; a 2xx reply is success.
+async function sendWebhook(webhookUrl, id, payload) {
+    const secret = getWebhookSecret();
+    if (!secret) return { ok: false, error: "WEBHOOK_SECRET is not set." };
+
+    const url = new URL(webhookUrl);
+    // IP literals skip the lookup, so they are checked here
+    if (net.isIP(hostOf(url)) && !isPublicAddress(hostOf(url))) {
+        return { ok: false, error: `${hostOf(url)} is not a public address.` };
+    }
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        const statusCode = await post(url, {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(secret, timestamp, body),
+        }, body);
+        if (statusCode >= 200 && statusCode < 300) return { ok: true };
+        return { ok: false, error: `Webhook endpoint replied ${statusCode}.` };
+    } catch (e) {
+        log('warn', 'webhook_error', { id, error: e.message });
+        return { ok: false, error: e.message };
+    }
+}
+
+module.exports = { signPayload, validateWebhookUrl, sendWebhook };
@@ -0,0 +1,49 @@
+// api/job-results.js
+// Vercel Serverless Function (Node.js)
+// Pages of a job's results, in row order: GET ?id=<job id>&offset=0&limit=100.
+// Rows are available as soon as their chunk is verified, so pages can be read
+// while the job runs; nextOffset is null once every verified row has been read.
+
+const { handleCors } = require('./_lib/cors');
+const { handleAuth } = require('./_lib/auth');
+const { getJob, getJobResults, describeJob } = require('./_lib/jobs');
+const { getApiVersion, formatForApiVersion } = require('./_lib/remarks');
+const { log, startRequest, runWithContext } = require('./_lib/logger');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+function readInteger(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+async function handleResults(req, res, requestId) {
+    if (handleCors(req, res, ['GET'])) return;
+    if (await handleAuth(req, res, 0)) return;
+
+    const query = req.query || {};
+    const offset = readInteger(query.offset, 0);
+    const limit = readInteger(query.limit, DEFAULT_PAGE_SIZE);
+    if (!Number.isFinite(offset) || !Number.isFinite(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return res.status(400).json({ status: "Error", requestId, error: `offset must be a whole number and limit between 1 and ${MAX_PAGE_SIZE}.` });
+    }
+
+    try {
+        const job = await getJob(query.id, req.client.id);
+        if (!job) return res.status(404).json({ status: "Error", requestId, error: "Job not found." });
+
+        const apiVersion = getApiVersion(req);
+        const results = (await getJobResults(job, offset, limit)).map(result => formatForApiVersion(result, apiVersion));
+        const nextOffset = offset + results.length < job.processedRows ? offset + results.length : null;
+        return res.status(200).json({ status: "Success", requestId, job: describeJob(job), offset, limit, nextOffset, results });
+    } catch (e) {
+        log('error', 'internal_error', { error: e });
+        return res.status(500).json({ status: "Error", requestId, error: `Internal Server Error: ${e.message}` });
+    }
+}
+
+module.exports = async (req, res) => {
+    const requestId = startRequest(req, res);
+    return runWithContext({ requestId }, () => handleResults(req, res, requestId));
+};
@@ -0,0 +1,42 @@
+// api/jobs-worker.js
+// Vercel Serverless Function (Node.js)
+// Carries on unfinished jobs that nobody polls and due webhook retries (see
+// _lib/jobs.js). Run by the cron in vercel.json (Vercel Cron); callers must send
+// "Authorization: Bearer <CRON_SECRET>", which is what Vercel Cron does.
+// The schedule is daily because Vercel Hobby accepts no more frequent cron; on
+// Pro, set it to "* * * * *" so webhook retries keep to their backoff delays.
+
+const crypto = require('crypto');
+const { handleCors } = require('./_lib/cors');
+const { advanceActiveJobs } = require('./_lib/jobs');
+const { log, startRequest, runWithContext } = require('./_lib/logger');
+
+function isAuthorized(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+    const presented = Buffer.from(String((req.headers || {}).authorization || ''));
+    const expected = Buffer.from(`Bearer ${secret}`);
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+async function handleWorker(req, res, requestId) {
+    if (handleCors(req, res, ['GET', 'POST'])) return;
+
+    if (!isAuthorized(req)) {
+        return res.status(401).json({ status: "Error", requestId, error: process.env.CRON_SECRET ? "Invalid worker credentials." : "The job worker is disabled (CRON_SECRET is not set)." });
+    }
+
+    try {
+        const { active, advanced } = await advanceActiveJobs();
+        log('info', 'job_worker', { active, advanced });
+        return res.status(200).json({ status: "Success", requestId, active, advanced });
+    } catch (e) {
+        log('error', 'internal_error', { error: e });
+        return res.status(500).json({ status: "Error", requestId, error: `Internal Server Error: ${e.message}` });
+    }
+}
+
+module.exports = async (req, res) => {
+    const requestId = startRequest(req, res);
+    return runWithContext({ requestId }, () => handleWorker(req, res, requestId));
+};
@@ -0,0 +1,87 @@
+// api/jobs.js
+// Vercel Serverless Function (Node.js)
+// Asynchronous verification jobs for large batches (see _lib/jobs.js):
+//   POST { rows: [{ orderId, address, customerName, paymentMode }], courierProfile, warehousePin, webhookUrl }
+//     -> 202 { job }; poll GET ?id=<job id> -> { job }, read results from /api/job-results.
+// Work starts before the 202 is sent (up to JOB_SUBMIT_RUN_SECONDS, enough for a
+// small job and its webhook) and continues after it in the same invocation; where
+// the platform stops a function as soon as it replies, polls and the worker
+// endpoint (api/jobs-worker.js) carry it on.
+
+const { handleCors } = require('./_lib/cors');
+const { handleAuth } = require('./_lib/auth');
+const { MAX_JOB_ROWS, RUN_SECONDS, SUBMIT_RUN_SECONDS, createJob, getJob, describeJob, advanceJob, hasPendingWork } = require('./_lib/jobs');
+const { validateWebhookUrl } = require('./_lib/webhooks');
+const { COURIER_PROFILES, getCourierProfile } = require('./_lib/courier-lines');
+const { log, startRequest, runWithContext } = require('./_lib/logger');
+
+async function handleCreate(req, res, requestId) {
+    const { rows, courierProfile, warehousePin, webhookUrl } = req.body || {};
+
+    if (courierProfile && !getCourierProfile(courierProfile)) {
+        return res.status(400).json({ status: "Error", requestId, error: `Unknown courierProfile "${courierProfile}". Use one of: ${Object.keys(COURIER_PROFILES).join(', ')}.` });
+    }
+
+    if (warehousePin && !/^[1-9]\d{5}$/.test(String(warehousePin).trim())) {
+        return res.status(400).json({ status: "Error", requestId, error: `warehousePin must be a 6-digit PIN, got "${warehousePin}".` });
+    }
+
+    let webhook = null;
+    if (webhookUrl !== undefined && webhookUrl !== null && webhookUrl !== '') {
+        webhook = await validateWebhookUrl(webhookUrl);
+        if (webhook.error) return res.status(400).json({ status: "Error", requestId, error: webhook.error });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ status: "Error", requestId, error: "rows must be a non-empty array." });
+    }
+
+    if (rows.length > MAX_JOB_ROWS) {
+        return res.status(413).json({ status: "Error", requestId, error: `A job may contain at most ${MAX_JOB_ROWS} rows.` });
+    }
+
+    // Every row is one verification against the daily quota, charged when the job is accepted
+    if (await handleAuth(req, res, rows.length)) return;
+
+    const job = await createJob({
+        rows,
+        options: { courierProfile: courierProfile || null, warehousePin: warehousePin ? String(warehousePin).trim() : null },
+        webhookUrl: webhook ? webhook.url : null,
+        clientId: req.client.id,
+    });
+
+    const started = (await advanceJob(job.id, SUBMIT_RUN_SECONDS)) || job;
+
+    res.setHeader('Location', `/api/jobs?id=${encodeURIComponent(job.id)}`);
+    res.status(202).json({ status: "Success", requestId, job: describeJob(started) });
+    if (hasPendingWork(started)) await advanceJob(job.id, RUN_SECONDS - SUBMIT_RUN_SECONDS);
+}
+
+async function handleStatus(req, res, requestId) {
+    // Polling is rate limited but does not use the quota
+    if (await handleAuth(req, res, 0)) return;
+
+    const job = await getJob((req.query || {}).id, req.client.id);
+    if (!job) return res.status(404).json({ status: "Error", requestId, error: "Job not found." });
+
+    res.status(200).json({ status: "Success", requestId, job: describeJob(job) });
+    // A job whose last invocation stopped early resumes on the next poll
+    if (hasPendingWork(job)) await advanceJob(job.id);
+}
+
+async function handleJobs(req, res, requestId) {
+    if (handleCors(req, res, ['GET', 'POST'])) return;
+
+    try {
+        if (req.method === 'POST') return await handleCreate(req, res, requestId);
+        return await handleStatus(req, res, requestId);
+    } catch (e) {
+        log('error', 'internal_error', { error: e });
+        if (!res.headersSent) res.status(500).json({ status: "Error", requestId, error: `Internal Server Error: ${e.message}` });
+    }
+}
+
+module.exports = async (req, res) => {
+    const requestId = startRequest(req, res);
+    return runWithContext({ requestId }, () => handleJobs(req, res, requestId));
+};
@@ -0,0 +1,57 @@
+// api/verify-batch.js
+// Vercel Serverless Function (Node.js)
+// Verifies a chunk of rows in one request:
+// { rows: [{ orderId, address, customerName, paymentMode }], courierProfile, warehousePin }
+// Each row result carries its own request ID, "<request ID>/<row number>".
+
+const { handleCors } = require('./_lib/cors');
+const { handleAuth, handleDebugAccess } = require('./_lib/auth');
+const { verifyRows } = require('./_lib/batch');
+const { getApiVersion, formatForApiVersion } = require('./_lib/remarks');
+const { COURIER_PROFILES, getCourierProfile } = require('./_lib/courier-lines');
+const { log, startRequest, runWithContext } = require('./_lib/logger');
+
+// Keep each request well inside the function timeout; the bulk page sends chunks
+const MAX_BATCH_ROWS = 50;
+
+async function handleBatch(req, res, requestId) {
+    if (handleCors(req, res)) return;
+
+    const { rows, courierProfile, warehousePin } = req.body || {};
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ status: "Error", error: "rows must be a non-empty array." });
+    }
+
+    if (rows.length > MAX_BATCH_ROWS) {
+        return res.status(413).json({ status: "Error", error: `A batch may contain at most ${MAX_BATCH_ROWS} rows.` });
+    }
+
+    if (courierProfile && !getCourierProfile(courierProfile)) {
+        return res.status(400).json({ status: "Error", error: `Unknown courierProfile "${courierProfile}". Use one of: ${Object.keys(COURIER_PROFILES).join(', ')}.` });
+    }
+
+    if (warehousePin && !/^[1-9]\d{5}$/.test(String(warehousePin).trim())) {
+        return res.status(400).json({ status: "Error", error: `warehousePin must be a 6-digit PIN, got "${warehousePin}".` });
+    }
+
+    // Every row is one verification against the daily quota
+    if (await handleAuth(req, res, rows.length)) return;
+    if (handleDebugAccess(req, res)) return;
+
+    try {
+        const apiVersion = getApiVersion(req);
+        const options = { courierProfile, warehousePin, debug: req.debug };
+        const results = (await verifyRows(rows, options, { requestId }))
+            .map(result => formatForApiVersion(result, apiVersion));
+        return res.status(200).json({ status: "Success", requestId, count: results.length, results });
+    } catch (e) {
+        log('error', 'internal_error', { error: e });
+        return res.status(500).json({ status: "Error", requestId, error: `Internal Server Error: ${e.message}` });
+    }
+}
+
+module.exports = async (req, res) => {
+    const requestId = startRequest(req, res);
+    return runWithContext({ requestId }, () => handleBatch(req, res, requestId));
+};
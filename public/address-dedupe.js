@@ -0,0 +1,161 @@
+// public/address-dedupe.js
+// Groups exact and near-duplicate raw addresses in a bulk file so each group
+// is verified once. Addresses are normalized (case, punctuation, common
+// abbreviations) and fingerprinted; near-duplicates must share every
+// identifier (house no., sector, PIN, block/tower letter) under the same label
+// and differ only by small spelling changes. Any script is kept (Hindi, Tamil, ...).
+
+const AddressDedupe = (() => {
+    // Share of tokens that must match for a fuzzy duplicate
+    const FUZZY_THRESHOLD = 0.85;
+
+    const ABBREVIATIONS = {
+        'h': 'house', 'hno': 'house', 'hn': 'house', 'no': '', 'number': '',
+        'rd': 'road', 'st': 'street', 'marg': 'road', 'ln': 'lane',
+        'nr': 'near', 'opp': 'opposite', 'bhd': 'behind',
+        'sec': 'sector', 'sect': 'sector', 'ph': 'phase', 'blk': 'block',
+        'apt': 'apartment', 'apts': 'apartment', 'apartments': 'apartment',
+        'bldg': 'building', 'soc': 'society', 'flr': 'floor',
+        'dist': 'district', 'distt': 'district', 'po': 'post', 'vill': 'village', 'vpo': 'village',
+        'मकान': 'house', 'नंबर': '', 'नं': '', 'सेक्टर': 'sector', 'फ्लैट': 'flat', 'प्लॉट': 'plot',
+        'ब्लॉक': 'block', 'गली': 'gali', 'वार्ड': 'ward',
+    };
+
+    // Words that name the number or letter after them: "house 12", "sector 21", "tower A"
+    const UNIT_LABELS = new Set([
+        'house', 'flat', 'plot', 'room', 'shop', 'unit', 'building', 'block', 'tower', 'wing', 'pocket',
+        'sector', 'phase', 'floor', 'gali', 'ward', 'zone', 'lane', 'street', 'road', 'khasra', 'survey',
+    ]);
+
+    // Numbers and single letters identify the place; they must match exactly
+    function isIdentifier(token) {
+        const value = token.slice(token.indexOf(':') + 1);
+        return /\p{N}/u.test(value) || /^\p{L}$/u.test(value);
+    }
+
+    // Word tokens, with each identifier tied to its label ("house:12", "tower:a"),
+    // so "H.No 12, Sector 21" and "H.No 21, Sector 12" never match
+    function tokens(address) {
+        const words = String(address || '')
+            .normalize('NFC')
+            .toLowerCase()
+            // Devanagari digits read the same as ASCII ones
+            .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+            // "40-B", "40 B" and "40B" are the same sector/house number
+            .replace(/(\d)[\s\-\/]?([a-z])\b/g, '$1$2')
+            .replace(/([a-z])(\d)/g, '$1 $2')
+            .replace(/(\d)([a-z]{3,})/g, '$1 $2')
+            // Vowel signs (\p{M}) are part of Indic words
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+            .split(' ')
+            .map(token => (Object.prototype.hasOwnProperty.call(ABBREVIATIONS, token) ? ABBREVIATIONS[token] : token))
+            .filter(Boolean);
+        return words.map((word, i) => (i > 0 && UNIT_LABELS.has(words[i - 1]) && isIdentifier(word) ? `${words[i - 1]}:${word}` : word));
+    }
+
+    function levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Typos are tolerated in words, never in identifiers
+    function tokensMatch(a, b) {
+        if (a === b) return true;
+        if (isIdentifier(a) || isIdentifier(b)) return false;
+        const allowed = Math.min(a.length, b.length) >= 8 ? 2 : Math.min(a.length, b.length) >= 4 ? 1 : 0;
+        return allowed > 0 && levenshtein(a, b) <= allowed;
+    }
+
+    function similarity(tokensA, tokensB) {
+        const longer = tokensA.length >= tokensB.length ? tokensA : tokensB;
+        const shorter = longer === tokensA ? tokensB : tokensA;
+        const matched = shorter.filter(token => longer.some(other => tokensMatch(token, other))).length;
+        return longer.length ? matched / longer.length : 0;
+    }
+
+    function normalizeName(name) {
+        return String(name || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}]/gu, '');
+    }
+
+    // "Ram" and "Ram Kumar" may be the same customer; "Ram" and "Sita" are not
+    function hasNameConflict(names) {
+        const normalized = names.map(normalizeName).filter(Boolean);
+        return normalized.some(a => normalized.some(b => !a.includes(b) && !b.includes(a)));
+    }
+
+    // rows: [{ 'CUSTOMER RAW ADDRESS', 'CUSTOMER NAME' }]. Returns one entry per row:
+    // null for rows with no duplicate, otherwise
+    // { group, leader, match: 'leader' | 'exact' | 'fuzzy', size, names, nameConflict }
+    // where leader is the index of the row that is verified for the whole group.
+    function groupDuplicates(rows) {
+        const entries = rows.map((row, index) => {
+            const rowTokens = [...new Set(tokens(String(row['CUSTOMER RAW ADDRESS'] || '').trim()))];
+            if (!rowTokens.length) return null;
+            return {
+                index,
+                tokens: rowTokens,
+                // Order-insensitive, as identifiers carry their labels: "Sector 40, H.No 12" and "h no 12 sec 40" match exactly
+                fingerprint: rowTokens.slice().sort().join(' '),
+                // Rows can only match when every identifier agrees, so compare within these blocks
+                identifiers: rowTokens.filter(isIdentifier).sort().join(' ')
+            };
+        });
+
+        const leaderOf = rows.map((row, index) => index);
+        const matchOf = rows.map(() => null);
+        const blocks = new Map();
+        entries.filter(Boolean).forEach(entry => {
+            if (!blocks.has(entry.identifiers)) blocks.set(entry.identifiers, []);
+            blocks.get(entry.identifiers).push(entry);
+        });
+
+        // The first row of each group (in file order) leads it
+        blocks.forEach(block => {
+            const leaders = [];
+            block.forEach(entry => {
+                const exact = leaders.find(leader => leader.fingerprint === entry.fingerprint);
+                const leader = exact || leaders.find(candidate => similarity(candidate.tokens, entry.tokens) >= FUZZY_THRESHOLD);
+                if (!leader) {
+                    leaders.push(entry);
+                    return;
+                }
+                leaderOf[entry.index] = leader.index;
+                matchOf[entry.index] = exact ? 'exact' : 'fuzzy';
+            });
+        });
+
+        const members = new Map();
+        leaderOf.forEach((leader, index) => {
+            if (!members.has(leader)) members.set(leader, []);
+            members.get(leader).push(index);
+        });
+
+        let groupCount = 0;
+        const result = rows.map(() => null);
+        members.forEach((indexes, leader) => {
+            if (indexes.length < 2) return;
+            groupCount++;
+            const names = [...new Set(indexes.map(index => String(rows[index]['CUSTOMER NAME'] || '').trim()).filter(Boolean))];
+            indexes.forEach(index => {
+                result[index] = {
+                    group: `D${groupCount}`,
+                    leader,
+                    match: index === leader ? 'leader' : matchOf[index],
+                    size: indexes.length,
+                    names,
+                    nameConflict: hasNameConflict(names)
+                };
+            });
+        });
+        return result;
+    }
+
+    return { groupDuplicates };
+})();
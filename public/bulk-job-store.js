@@ -0,0 +1,99 @@
+// public/bulk-job-store.js
+// IndexedDB persistence for bulk runs, so a closed or crashed tab can resume
+// where it stopped instead of paying for every verification again.
+// Jobs are keyed by the SHA-256 of the uploaded file; results by [file hash, row key].
+
+const BulkJobStore = (() => {
+    const DB_NAME = 'address-verification';
+    const DB_VERSION = 1;
+    const JOBS = 'jobs';
+    const RESULTS = 'results';
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(JOBS)) {
+                    db.createObjectStore(JOBS, { keyPath: 'fileHash' });
+                }
+                if (!db.objectStoreNames.contains(RESULTS)) {
+                    const results = db.createObjectStore(RESULTS, { keyPath: ['fileHash', 'rowKey'] });
+                    results.createIndex('byFile', 'fileHash');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return dbPromise;
+    }
+
+    // Runs fn(store) inside a transaction and resolves with the request result
+    async function withStore(name, mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(name, mode);
+            const request = fn(transaction.objectStore(name));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async function hashFile(file) {
+        const buffer = await file.arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // One stable key per row: the ORDER ID, or the row number when it is blank.
+    // Repeated ORDER IDs get a "#n" suffix so every row keeps its own result.
+    function buildRowKeys(rows) {
+        const seen = {};
+        return rows.map((row, index) => {
+            const base = String(row['ORDER ID'] || '').trim() || `row-${index + 1}`;
+            seen[base] = (seen[base] || 0) + 1;
+            return seen[base] > 1 ? `${base}#${seen[base]}` : base;
+        });
+    }
+
+    function saveJob(job) {
+        return withStore(JOBS, 'readwrite', store => store.put({ ...job, updatedAt: Date.now() }));
+    }
+
+    function getJob(fileHash) {
+        return withStore(JOBS, 'readonly', store => store.get(fileHash));
+    }
+
+    async function listJobs() {
+        const jobs = await withStore(JOBS, 'readonly', store => store.getAll());
+        return (jobs || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // entries: [{ rowKey, rowIndex, result }]
+    function saveResults(fileHash, entries) {
+        return withStore(RESULTS, 'readwrite', store => {
+            let last = null;
+            entries.forEach(entry => {
+                last = store.put({ ...entry, fileHash, savedAt: Date.now() });
+            });
+            return last;
+        });
+    }
+
+    // Resolves to a Map of rowKey -> stored entry
+    async function getResults(fileHash) {
+        const entries = await withStore(RESULTS, 'readonly', store => store.index('byFile').getAll(fileHash));
+        return new Map((entries || []).map(entry => [entry.rowKey, entry]));
+    }
+
+    async function deleteJob(fileHash) {
+        await withStore(RESULTS, 'readwrite', store => store.delete(IDBKeyRange.bound([fileHash], [fileHash, []])));
+        await withStore(JOBS, 'readwrite', store => store.delete(fileHash));
+    }
+
+    return { hashFile, buildRowKeys, saveJob, getJob, listJobs, saveResults, getResults, deleteJob };
+})();
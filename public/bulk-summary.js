@@ -0,0 +1,136 @@
+// public/bulk-summary.js
+// Statistics for a bulk run: counts by address quality, run outcome and PIN
+// outcome, breakdowns by state and district (worst first), and average latency.
+// Every count is over one dimension, so the page can narrow its result table to
+// the rows behind any number with matches(entry, { dimension, value }).
+
+const BulkSummary = (() => {
+    const QUALITY_ORDER = ['Very Good', 'Good', 'Medium', 'Bad', 'Very Bad'];
+    const BAD_QUALITIES = ['Bad', 'Very Bad'];
+    const BLANK = '(blank)';
+    // Rows per state/district listed in the report's breakdowns
+    const BREAKDOWN_LIMIT = 50;
+
+    // PIN outcome from the remark codes; the first code found wins
+    const PIN_OUTCOMES = [
+        ['PIN_CORRECTED', 'Corrected'],
+        ['PIN_ADDED', 'Added'],
+        ['PIN_MISMATCH', 'Mismatch'],
+        ['PIN_UNVERIFIED', 'Unverified'],
+        ['PIN_NOT_FOUND', 'Unverified'],
+        ['PIN_PARTIAL_MATCH', 'Partial match'],
+        ['PIN_VERIFIED', 'Verified'],
+    ];
+
+    // "VERY BAD" (error rows) and "very bad" count as "Very Bad"
+    function quality(result) {
+        const text = String(result.addressQuality || '').trim();
+        return QUALITY_ORDER.find(value => value.toLowerCase() === text.toLowerCase()) || text || BLANK;
+    }
+
+    function outcome(result) {
+        if (result.status === 'Error') return 'API error';
+        if (result.status === 'Skipped') return 'Skipped';
+        return 'Verified';
+    }
+
+    function pinOutcome(result) {
+        if (result.status === 'Error' || result.status === 'Skipped') return 'Not checked';
+        const codes = Array.isArray(result.remarks) ? result.remarks.map(remark => remark.code) : [];
+        const found = PIN_OUTCOMES.find(([code]) => codes.includes(code));
+        return found ? found[1] : 'Not checked';
+    }
+
+    const DIMENSIONS = {
+        quality,
+        outcome,
+        pin: pinOutcome,
+        state: result => String(result.state || '').trim() || BLANK,
+        district: result => String(result.district || '').trim() || BLANK,
+    };
+
+    // Dimensions the breakdowns count over verified rows only
+    const VERIFIED_ONLY = ['state', 'district'];
+
+    function matches(entry, filter) {
+        if (!filter) return true;
+        if (!entry) return false;
+        if (VERIFIED_ONLY.includes(filter.dimension) && outcome(entry.result) !== 'Verified') return false;
+        return DIMENSIONS[filter.dimension](entry.result) === filter.value;
+    }
+
+    function countBy(entries, dimension) {
+        const counts = {};
+        entries.forEach(entry => {
+            const value = DIMENSIONS[dimension](entry.result);
+            counts[value] = (counts[value] || 0) + 1;
+        });
+        return counts;
+    }
+
+    // [{ name, rows, bad, badShare, averageConfidence }], the highest share of Bad/Very Bad first.
+    // Only verified rows count: an API error says nothing about the address.
+    function breakdown(entries, dimension) {
+        const groups = new Map();
+        entries.filter(entry => !VERIFIED_ONLY.includes(dimension) || outcome(entry.result) === 'Verified').forEach(entry => {
+            const name = DIMENSIONS[dimension](entry.result);
+            if (!groups.has(name)) groups.set(name, { name, rows: 0, bad: 0, confidenceTotal: 0, confidenceRows: 0 });
+            const group = groups.get(name);
+            group.rows++;
+            if (BAD_QUALITIES.includes(quality(entry.result))) group.bad++;
+            if (Number.isFinite(entry.result.confidence)) {
+                group.confidenceTotal += entry.result.confidence;
+                group.confidenceRows++;
+            }
+        });
+        return [...groups.values()]
+            .map(({ name, rows, bad, confidenceTotal, confidenceRows }) => ({
+                name,
+                rows,
+                bad,
+                badShare: Math.round((bad / rows) * 1000) / 10,
+                averageConfidence: confidenceRows ? Math.round(confidenceTotal / confidenceRows) : null,
+            }))
+            .sort((a, b) => b.badShare - a.badShare || b.rows - a.rows);
+    }
+
+    // Summary of the processed rows of a job. results: Map of rowKey -> stored entry
+    // ({ result, latencyMs }); latency is only recorded on rows that were sent to the API.
+    function summarize(job, results) {
+        const entries = job.rowKeys.map(key => results.get(key)).filter(Boolean);
+        const quality = countBy(entries, 'quality');
+        const timed = entries.filter(entry => Number.isFinite(entry.latencyMs));
+
+        return {
+            totalRows: job.rowKeys.length,
+            processed: entries.length,
+            pending: job.rowKeys.length - entries.length,
+            outcome: countBy(entries, 'outcome'),
+            quality: Object.fromEntries([
+                ...QUALITY_ORDER.map(value => [value, quality[value] || 0]),
+                ...Object.entries(quality).filter(([value]) => !QUALITY_ORDER.includes(value)),
+            ]),
+            pin: countBy(entries, 'pin'),
+            byState: breakdown(entries, 'state'),
+            byDistrict: breakdown(entries, 'district'),
+            latency: {
+                timedRows: timed.length,
+                averageMs: timed.length ? Math.round(timed.reduce((sum, entry) => sum + entry.latencyMs, 0) / timed.length) : null,
+            },
+        };
+    }
+
+    // The downloadable JSON report: the summary, with the breakdowns capped
+    function buildReport(job, results) {
+        const summary = summarize(job, results);
+        return {
+            fileName: job.fileName,
+            generatedAt: new Date().toISOString(),
+            ...summary,
+            byState: summary.byState.slice(0, BREAKDOWN_LIMIT),
+            byDistrict: summary.byDistrict.slice(0, BREAKDOWN_LIMIT),
+        };
+    }
+
+    return { summarize, buildReport, matches };
+})();
@@ -0,0 +1,159 @@
+// public/review-queue.js
+// Human review of bulk results: which rows need a look (Bad/Very Bad quality,
+// a CRITICAL_ALERT remark or a failed verification), the fields a reviewer can
+// correct, and the review record kept on the result for the export:
+// result.review = { status, reviewer, reviewedAt, reverified, rawAddress, changes: [{ field, from, to }], original }.
+
+const ReviewQueue = (() => {
+    const FLAGGED_QUALITIES = ['bad', 'very bad'];
+
+    // [result key, label]; "components.x" keys edit result.components
+    const FIELDS = [
+        ['customerCleanName', 'Clean name'],
+        ['addressLine1', 'Address line 1'],
+        ['landmark', 'Landmark'],
+        ['postOffice', 'Post office'],
+        ['tehsil', 'Tehsil'],
+        ['district', 'District'],
+        ['state', 'State'],
+        ['pin', 'PIN'],
+    ];
+    // Shown only when the verified (or original) result has a value for them
+    const COMPONENT_FIELDS = [
+        ['components.houseNo', 'H.No.'],
+        ['components.flatNo', 'Flat no.'],
+        ['components.plotNo', 'Plot no.'],
+        ['components.roomNo', 'Room no.'],
+        ['components.buildingNo', 'Building no.'],
+        ['components.blockNo', 'Block no.'],
+        ['components.wardNo', 'Ward no.'],
+        ['components.galiNo', 'Gali no.'],
+        ['components.zoneNo', 'Zone no.'],
+        ['components.sector', 'Sector'],
+        ['components.floor', 'Floor'],
+        ['components.houseName', 'House name'],
+        ['components.buildingName', 'Building name'],
+        ['components.street', 'Street'],
+        ['components.colony', 'Colony'],
+        ['components.locality', 'Locality'],
+    ];
+    // Editing anything but these makes the API's courier label lines stale
+    const NON_ADDRESS_FIELDS = ['customerCleanName', 'district', 'state', 'pin'];
+
+    function getField(result, key) {
+        const [first, second] = key.split('.');
+        const value = second ? ((result || {})[first] || {})[second] : (result || {})[first];
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    function setField(result, key, value) {
+        const [first, second] = key.split('.');
+        if (second) result[first] = { ...(result[first] || {}), [second]: value || null };
+        else result[first] = value;
+    }
+
+    function hasCriticalRemark(remarks) {
+        if (Array.isArray(remarks)) return remarks.some(remark => remark.severity === 'critical');
+        return String(remarks || '').includes('CRITICAL_ALERT');
+    }
+
+    // Why a result needs review; empty when it does not
+    function reviewReasons(result) {
+        const reasons = [];
+        if (!result) return reasons;
+        if (result.status === 'Error') reasons.push('Verification failed');
+        const quality = String(result.addressQuality || '').trim().toLowerCase();
+        if (FLAGGED_QUALITIES.includes(quality)) reasons.push(`Quality: ${result.addressQuality}`);
+        if (hasCriticalRemark(result.remarks)) reasons.push('Critical alert');
+        return reasons;
+    }
+
+    // Reviewed rows stay in the queue, so a decision can be revisited
+    function needsReview(result) {
+        return Boolean(result && result.review) || reviewReasons(result).length > 0;
+    }
+
+    // The result as it came from the API, before any review
+    function originalOf(result) {
+        return result && result.review ? result.review.original : result;
+    }
+
+    // 'Approved' / 'Rejected' once reviewed, 'Pending' while flagged, else 'Not Required'
+    function reviewStatus(result) {
+        if (result && result.review) return result.review.status;
+        return reviewReasons(result).length ? 'Pending' : 'Not Required';
+    }
+
+    // Editable fields for a row: the main fields plus the components either result has
+    function editableFields(...results) {
+        return [
+            ...FIELDS,
+            ...COMPONENT_FIELDS.filter(([key]) => results.some(result => getField(result, key).trim() !== '')),
+        ];
+    }
+
+    // Copy of `base` with the reviewer's values ({ key: text }) applied
+    function applyEdits(base, values) {
+        const { review, ...edited } = base;
+        let addressChanged = false;
+        Object.entries(values).forEach(([key, value]) => {
+            const text = String(value || '').trim();
+            if (text === getField(edited, key).trim()) return;
+            setField(edited, key, text);
+            if (!NON_ADDRESS_FIELDS.includes(key)) addressChanged = true;
+        });
+        // The export then falls back to the edited address line
+        if (addressChanged) edited.courierLines = null;
+        return edited;
+    }
+
+    // Builds the reviewed result. rawAddress: { from, to } when the raw text was edited and
+    // re-verified; a second review of the same row keeps the first one's re-verification.
+    function recordReview(previous, edited, { status, reviewer, reverified = false, rawAddress = null }) {
+        const original = originalOf(previous);
+        const earlier = (previous && previous.review) || {};
+        const raw = rawAddress || earlier.rawAddress || null;
+
+        const changes = editableFields(original, edited)
+            .map(([key, label]) => ({ field: label, from: getField(original, key).trim(), to: getField(edited, key).trim() }))
+            .filter(change => change.from !== change.to);
+        if (raw && raw.from.trim() !== raw.to.trim()) {
+            changes.unshift({ field: 'Raw address', from: raw.from.trim(), to: raw.to.trim() });
+        }
+
+        const { review, ...result } = edited;
+        return {
+            ...result,
+            review: {
+                status,
+                reviewer,
+                reviewedAt: new Date().toISOString(),
+                reverified: reverified || Boolean(earlier.reverified),
+                rawAddress: raw,
+                changes,
+                original,
+            },
+        };
+    }
+
+    // One cell for the export: "PIN: 160014 -> 160015; Landmark: (blank) -> Near SBI"
+    function formatChanges(result) {
+        if (!result || !result.review) return '';
+        const shown = value => value || '(blank)';
+        const changes = result.review.changes.map(change => `${change.field}: ${shown(change.from)} -> ${shown(change.to)}`);
+        if (result.review.reverified) changes.unshift('Re-verified');
+        return changes.join('; ');
+    }
+
+    return {
+        getField,
+        reviewReasons,
+        needsReview,
+        originalOf,
+        reviewStatus,
+        editableFields,
+        applyEdits,
+        recordReview,
+        formatChanges,
+    };
+})();
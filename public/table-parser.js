@@ -0,0 +1,266 @@
+// public/table-parser.js
+// Reads uploaded order files into { headers, rows } for the bulk page.
+// Delimited text follows RFC 4180 (quoted fields, "" escapes, embedded newlines,
+// CRLF, BOM) with ',', ';' or tab detected from the header line. .xlsx files are
+// unzipped in the browser and the first worksheet is read; no library needed.
+// Also guesses which columns hold the order ID, name and address.
+
+const TableParser = (() => {
+    const DELIMITERS = [',', ';', '\t'];
+
+    // Picks the delimiter that appears most often in the first record, outside quotes
+    function detectDelimiter(text) {
+        const counts = { ',': 0, ';': 0, '\t': 0 };
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+            else if (!inQuotes && ch in counts) counts[ch]++;
+        }
+        return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+    }
+
+    function parseDelimited(text, delimiter) {
+        text = String(text || '').replace(/^\uFEFF/, '');
+        delimiter = delimiter || detectDelimiter(text);
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+        return toTable(records);
+    }
+
+    // First non-empty record is the header; blank records are dropped
+    function toTable(records) {
+        const nonEmpty = records.filter(record => record.some(cell => String(cell).trim() !== ''));
+        if (!nonEmpty.length) return { headers: [], rows: [] };
+
+        const headers = nonEmpty[0].map(h => String(h).trim());
+        const rows = nonEmpty.slice(1).map(record => headers.map((h, index) => String(record[index] ?? '').trim()));
+        return { headers, rows };
+    }
+
+    // --- .xlsx: a zip of XML parts ---
+
+    async function inflateRaw(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Returns { [path]: Uint8Array } for every entry, read via the central directory
+    async function unzip(buffer) {
+        const view = new DataView(buffer);
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('Not a valid .xlsx file.');
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const files = {};
+
+        for (let n = 0; n < entryCount; n++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt .xlsx file.');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = new Uint8Array(buffer, dataStart, compressedSize);
+            if (method === 0) files[name] = data;
+            else if (method === 8) files[name] = await inflateRaw(data);
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return files;
+    }
+
+    function readXml(files, path) {
+        const bytes = files[path];
+        if (!bytes) return null;
+        return new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+    }
+
+    function byTag(node, tag) {
+        return Array.from(node.getElementsByTagNameNS('*', tag));
+    }
+
+    // "AB12" -> 27
+    function columnIndex(cellRef) {
+        const letters = (cellRef.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+        return letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    // Path of the first worksheet in workbook order
+    function firstSheetPath(files) {
+        const workbook = readXml(files, 'xl/workbook.xml');
+        const rels = readXml(files, 'xl/_rels/workbook.xml.rels');
+        const sheet = workbook ? byTag(workbook, 'sheet')[0] : null;
+        if (sheet && rels) {
+            const relId = sheet.getAttribute('r:id') || sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+            const rel = byTag(rels, 'Relationship').find(r => r.getAttribute('Id') === relId);
+            if (rel) {
+                const target = rel.getAttribute('Target');
+                return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            }
+        }
+        return Object.keys(files).filter(path => /^xl\/worksheets\/[^/]+\.xml$/.test(path)).sort()[0];
+    }
+
+    async function parseXlsx(buffer) {
+        const files = await unzip(buffer);
+
+        const sharedDoc = readXml(files, 'xl/sharedStrings.xml');
+        // Rich-text strings are split over several <t> runs; phonetic (<rPh>) runs are not part of the text
+        const textOf = node => byTag(node, 't').filter(t => t.parentNode.localName !== 'rPh').map(t => t.textContent).join('');
+        const shared = sharedDoc ? byTag(sharedDoc, 'si').map(textOf) : [];
+
+        const sheet = readXml(files, firstSheetPath(files));
+        if (!sheet) throw new Error('The workbook has no worksheet.');
+
+        const records = byTag(sheet, 'row').map(row => {
+            const record = [];
+            byTag(row, 'c').forEach((cell, position) => {
+                const ref = cell.getAttribute('r');
+                const index = ref ? columnIndex(ref) : position;
+                const type = cell.getAttribute('t');
+                const v = byTag(cell, 'v')[0];
+                let value = '';
+                if (type === 's') value = v ? shared[Number(v.textContent)] ?? '' : '';
+                else if (type === 'inlineStr') value = textOf(cell);
+                else if (v) value = v.textContent;
+                record[index] = value;
+            });
+            return Array.from(record, cell => cell ?? '');
+        });
+        return toTable(records);
+    }
+
+    // Zip files start with "PK"; everything else is treated as delimited text
+    async function readFile(file) {
+        const buffer = await file.arrayBuffer();
+        const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+        if (/\.xlsx$/i.test(file.name) || (bytes[0] === 0x50 && bytes[1] === 0x4b)) {
+            return parseXlsx(buffer);
+        }
+        return parseDelimited(new TextDecoder('utf-8').decode(buffer));
+    }
+
+    // --- column mapping ---
+
+    // Lower-cased header names, most specific first. Shopify exports split the
+    // address over several "Shipping ..." columns, which are joined in ADDRESS_PARTS order,
+    // and put the order number under "Name" (matched only once the name column is taken).
+    const FIELD_ALIASES = {
+        'ORDER ID': ['order id', 'order no', 'order no.', 'order number', 'orderid', 'order #', 'order', 'id', 'name'],
+        'CUSTOMER NAME': ['customer name', 'shipping name', 'consignee name', 'consignee', 'recipient name', 'recipient', 'billing name', 'customer', 'name'],
+        'CUSTOMER RAW ADDRESS': ['customer raw address', 'raw address', 'full address', 'complete address', 'shipping address', 'delivery address', 'customer address', 'address'],
+        'PAYMENT MODE': ['payment mode', 'payment method', 'payment type', 'mode of payment', 'cod/prepaid', 'payment gateway names', 'payment'],
+    };
+    const ADDRESS_PARTS = [
+        ['shipping address1', 'shipping address 1', 'address1', 'address 1', 'address line 1', 'address line1'],
+        ['shipping address2', 'shipping address 2', 'address2', 'address 2', 'address line 2', 'address line2'],
+        ['shipping landmark', 'landmark'],
+        ['shipping city', 'city', 'town'],
+        ['shipping district', 'district'],
+        ['shipping province', 'shipping province name', 'shipping state', 'state', 'province'],
+        ['shipping zip', 'shipping pincode', 'pincode', 'pin code', 'pin', 'zip', 'zip code', 'postal code'],
+    ];
+
+    function normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+    }
+
+    // Returns { 'ORDER ID': [index], 'CUSTOMER NAME': [index], 'CUSTOMER RAW ADDRESS': [index, ...], 'PAYMENT MODE': [index] }
+    // with empty arrays for fields that could not be found
+    function guessMapping(headers) {
+        const normalized = headers.map(normalizeHeader);
+        const used = new Set();
+        const find = aliases => {
+            for (const alias of aliases) {
+                const index = normalized.findIndex((h, i) => h === alias && !used.has(i));
+                if (index !== -1) return index;
+            }
+            return -1;
+        };
+
+        const mapping = {};
+        const address = find(FIELD_ALIASES['CUSTOMER RAW ADDRESS']);
+        if (address !== -1) {
+            used.add(address);
+            mapping['CUSTOMER RAW ADDRESS'] = [address];
+        } else {
+            mapping['CUSTOMER RAW ADDRESS'] = ADDRESS_PARTS.map(find).filter(index => index !== -1);
+            mapping['CUSTOMER RAW ADDRESS'].forEach(index => used.add(index));
+        }
+        ['CUSTOMER NAME', 'ORDER ID', 'PAYMENT MODE'].forEach(field => {
+            const index = find(FIELD_ALIASES[field]);
+            if (index !== -1) used.add(index);
+            mapping[field] = index === -1 ? [] : [index];
+        });
+        return mapping;
+    }
+
+    // Builds the rows the bulk page sends: the mapped fields plus every
+    // unmapped input column in `extra`, in header order, so it can pass through.
+    function applyMapping(table, mapping) {
+        const mapped = new Set(Object.values(mapping).flat());
+        const extraIndexes = table.headers.map((h, index) => index).filter(index => !mapped.has(index));
+        const join = (record, indexes) => indexes.map(index => record[index]).filter(Boolean).join(', ');
+
+        return {
+            extraHeaders: extraIndexes.map(index => table.headers[index] || `COLUMN ${index + 1}`),
+            rows: table.rows.map(record => ({
+                'ORDER ID': join(record, mapping['ORDER ID'] || []),
+                'CUSTOMER NAME': join(record, mapping['CUSTOMER NAME'] || []),
+                'CUSTOMER RAW ADDRESS': join(record, mapping['CUSTOMER RAW ADDRESS'] || []),
+                'PAYMENT MODE': join(record, mapping['PAYMENT MODE'] || []),
+                extra: extraIndexes.map(index => record[index]),
+            })),
+        };
+    }
+
+    return { parseDelimited, parseXlsx, readFile, guessMapping, applyMapping };
+})();
@@ -0,0 +1,57 @@
+// scripts/check-dedupe.js
+// Runs the bulk page's duplicate grouping (public/address-dedupe.js) over pairs
+// of rows and checks which pairs are grouped, and how. The module is a browser
+// global, so it is loaded into a sandbox.
+//
+// Usage: node scripts/check-dedupe.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULE_PATH = path.join(__dirname, '..', 'public', 'address-dedupe.js');
+
+// [first row, second row, expected match of the second row (null: not grouped), expected nameConflict]
+const CASES = [
+    [{ address: 'H.No 12, Sector 40, Chandigarh 160036' }, { address: 'h no 12 sec 40 chandigarh 160036' }, 'exact'],
+    [{ address: 'H.No 12, Sector 40B, Chandigarh 160036' }, { address: 'House 12, Sector 40-B, Chandigrah 160036' }, 'fuzzy'],
+    [{ address: 'H.No 12, Sector 21, Chandigarh 160022' }, { address: 'H.No 21, Sector 12, Chandigarh 160022' }, null],
+    [{ address: 'Flat 12, Tower A, Green Heights, Mohali 160062' }, { address: 'Flat 12, Tower B, Green Heights, Mohali 160062' }, null],
+    [{ address: 'H.No 4, Block C, Rajouri Garden, Delhi 110027' }, { address: 'H.No 4, Block D, Rajouri Garden, Delhi 110027' }, null],
+    [{ address: 'गांधी नगर, जयपुर' }, { address: 'शास्त्री नगर, भोपाल' }, null],
+    [{ address: 'मकान 5, गांधी नगर, जयपुर 302015' }, { address: 'मकान 9, शास्त्री नगर, जयपुर 302015' }, null],
+    [{ address: 'गली 3, शास्त्री नगर, जयपुर 302016' }, { address: 'गली 3, लाल कोठी, जयपुर 302016' }, null],
+    [{ address: 'मकान नंबर 12, सेक्टर 15, चंडीगढ़ 160015' }, { address: 'मकान 12, सेक्टर १५, चंडीगढ़ 160015' }, 'exact'],
+    [{ address: 'H.No 12, Sector 15, Chandigarh 160015', name: 'राम' }, { address: 'H.No 12, Sector 15, Chandigarh 160015', name: 'सीता' }, 'exact', true],
+    [{ address: 'H.No 12, Sector 15, Chandigarh 160015', name: 'Ram' }, { address: 'H.No 12, Sector 15, Chandigarh 160015', name: 'Ram Kumar' }, 'exact', false],
+];
+
+function loadModule() {
+    const sandbox = {};
+    vm.runInNewContext(`${fs.readFileSync(MODULE_PATH, 'utf8')}\nthis.AddressDedupe = AddressDedupe;`, sandbox, { filename: MODULE_PATH });
+    return sandbox.AddressDedupe;
+}
+
+function main() {
+    const { groupDuplicates } = loadModule();
+    const failures = [];
+
+    CASES.forEach(([first, second, expectedMatch, expectedConflict]) => {
+        const rows = [first, second].map(row => ({ 'CUSTOMER RAW ADDRESS': row.address, 'CUSTOMER NAME': row.name || '' }));
+        const entry = groupDuplicates(rows)[1];
+        const match = entry ? entry.match : null;
+        const conflict = entry ? entry.nameConflict : undefined;
+        if (match !== expectedMatch || (expectedConflict !== undefined && conflict !== expectedConflict)) {
+            failures.push(`"${first.address}" / "${second.address}": expected ${expectedMatch}` +
+                `${expectedConflict !== undefined ? ` (nameConflict ${expectedConflict})` : ''}, got ${match}${entry ? ` (nameConflict ${conflict})` : ''}`);
+        }
+    });
+
+    if (failures.length) {
+        console.error(`${failures.length} of ${CASES.length} dedupe cases failed:\n${failures.join('\n')}`);
+        process.exit(1);
+    }
+    console.log(`All ${CASES.length} dedupe cases pass.`);
+}
+
+main();
@@ -0,0 +1,99 @@
+// scripts/check-fixtures.js
+// Runs every address in the mock LLM fixtures through the full verification
+// pipeline and compares the results with the recorded expected output, so a
+// change to parsing, grounding or remarks shows up as a diff. Fully offline:
+// LLM replies come from the mock provider, PIN data and serviceability from the
+// small files next to the fixtures, and any network call fails.
+//
+// Usage: node scripts/check-fixtures.js [--update]
+//   --update  rewrites the expected output from the current results
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'api', '_lib', 'providers', 'fixtures');
+const RESPONSES_PATH = path.join(FIXTURES_DIR, 'mock-responses.json');
+const EXPECTED_PATH = path.join(FIXTURES_DIR, 'expected-results.json');
+const CUSTOMER_NAME = 'Asha Verma';
+
+// Set before the pipeline is loaded: these are read once, at require time
+Object.assign(process.env, {
+    LLM_PROVIDER: 'mock',
+    LLM_MOCK_FIXTURES: RESPONSES_PATH,
+    PINCODE_DIRECTORY_PATH: path.join(FIXTURES_DIR, 'pincode-directory.json'),
+    SERVICEABILITY_PATH: path.join(FIXTURES_DIR, 'serviceability.json'),
+    STORE_BACKEND: 'memory',
+    PIN_CACHE_STORE: 'memory',
+    LOG_LEVEL: 'error',
+});
+delete process.env.COURIER_PRIORITY;
+delete process.env.WAREHOUSE_PIN;
+
+// India Post lookups for PINs missing from the directory fail the same way on every machine
+global.fetch = async (url) => {
+    throw new Error(`Network access is disabled in the fixture check (${url}).`);
+};
+
+const { verifyAddress } = require('../api/_lib/verify');
+
+// The parts of a response worth pinning down; request IDs and timings change every run
+function summarize({ statusCode, body }) {
+    if (statusCode !== 200) return { statusCode, error: body.error };
+    return {
+        statusCode,
+        source: body.source,
+        addressLine1: body.addressLine1,
+        landmark: body.landmark,
+        postOffice: body.postOffice,
+        tehsil: body.tehsil,
+        district: body.district,
+        state: body.state,
+        pin: body.pin,
+        addressQuality: body.addressQuality,
+        confidence: body.confidence,
+        locationSuitability: body.locationSuitability,
+        remarks: body.remarks.map(remark => `${remark.severity} ${remark.code}`),
+    };
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    const addresses = Object.keys(JSON.parse(fs.readFileSync(RESPONSES_PATH, 'utf8')).responses);
+
+    const actual = {};
+    for (const address of addresses) {
+        actual[address] = summarize(await verifyAddress(address, CUSTOMER_NAME));
+    }
+
+    if (update) {
+        fs.writeFileSync(EXPECTED_PATH, JSON.stringify(actual, null, 4) + '\n');
+        console.log(`Recorded ${addresses.length} results in ${EXPECTED_PATH}`);
+        return;
+    }
+
+    let expected = {};
+    try {
+        expected = JSON.parse(fs.readFileSync(EXPECTED_PATH, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    const failures = [];
+    [...new Set([...Object.keys(expected), ...addresses])].forEach(address => {
+        const want = JSON.stringify(expected[address], null, 4);
+        const got = JSON.stringify(actual[address], null, 4);
+        if (want !== got) failures.push(`${address}\n  expected: ${want}\n  actual:   ${got}`);
+    });
+
+    if (failures.length) {
+        console.error(`${failures.length} of ${addresses.length} fixtures differ from ${EXPECTED_PATH}:\n\n${failures.join('\n\n')}`);
+        console.error("\nIf the change is intended, run: node scripts/check-fixtures.js --update");
+        process.exit(1);
+    }
+    console.log(`All ${addresses.length} fixtures match.`);
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,21 @@
+// scripts/create-api-key.js
+// Generates a new API key and prints the entry to add to API_KEYS (or the
+// API_KEYS_FILE JSON). Only the SHA-256 hash goes into config; hand the key
+// itself to the client once, it cannot be recovered later.
+//
+// Usage: node scripts/create-api-key.js <id> [rateLimitPerMinute] [dailyQuota]
+
+const crypto = require('crypto');
+const { hashApiKey } = require('../api/_lib/auth');
+
+const [id, rateLimitPerMinute = '60', dailyQuota = '5000'] = process.argv.slice(2);
+if (!id) {
+    console.error("Usage: node scripts/create-api-key.js <id> [rateLimitPerMinute] [dailyQuota]");
+    process.exit(1);
+}
+
+const key = `av_${crypto.randomBytes(24).toString('base64url')}`;
+const entry = { id, hash: hashApiKey(key), rateLimitPerMinute: Number(rateLimitPerMinute), dailyQuota: Number(dailyQuota) };
+
+console.log(`API key (give this to the client): ${key}`);
+console.log(`Config entry: ${JSON.stringify(entry)}`);
@@ -0,0 +1,50 @@
+// scripts/csv.js
+// CSV helpers shared by the import scripts.
+
+// RFC 4180 parser: quoted fields, escaped quotes and newlines inside quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Index of the first header matching one of the aliases (case and spaces ignored), or -1
+function findColumn(header, aliases) {
+    const normalized = header.map(h => h.trim().toLowerCase());
+    return normalized.findIndex(h => aliases.includes(h) || aliases.includes(h.replace(/\s+/g, '')));
+}
+
+module.exports = { parseCsv, findColumn };
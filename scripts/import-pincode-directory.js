@@ -0,0 +1,104 @@
+// scripts/import-pincode-directory.js
+// Builds the offline pincode directory from the India Post "All India Pincode
+// Directory" CSV (data.gov.in). Both the older export (officename, Taluk,
+// Districtname, statename) and the newer one (officename, district, statename)
+// are recognised by their headers. When the export has latitude/longitude
+// columns, each post office keeps its coordinates for offline geocoding.
+//
+// Usage: node scripts/import-pincode-directory.js <directory.csv> [output.json]
+// Default output: api/_data/pincode-directory.json
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, findColumn } = require('./csv');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'api', '_data', 'pincode-directory.json');
+
+// Accepted header names (lower-cased, spaces removed) for each field
+const COLUMN_ALIASES = {
+    pin: ['pincode', 'pin', 'pin code'],
+    name: ['officename', 'office name', 'postofficename'],
+    taluk: ['taluk', 'subdistrict', 'sub district', 'tehsil'],
+    district: ['districtname', 'district', 'district name'],
+    state: ['statename', 'state', 'state name'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'long', 'lng'],
+};
+
+// Rough bounding box of India; the directory has blanks, "NA" and swapped pairs
+const LATITUDE_RANGE = [6, 38];
+const LONGITUDE_RANGE = [68, 98];
+
+function inRange(value, [min, max]) {
+    return Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns [lat, lng] or null when the pair is missing or outside India
+function readCoordinates(record, columns) {
+    if (columns.latitude === -1 || columns.longitude === -1) return null;
+    const lat = parseFloat(record[columns.latitude]);
+    const lng = parseFloat(record[columns.longitude]);
+    if (inRange(lat, LATITUDE_RANGE) && inRange(lng, LONGITUDE_RANGE)) return [lat, lng];
+    if (inRange(lng, LATITUDE_RANGE) && inRange(lat, LONGITUDE_RANGE)) return [lng, lat];
+    return null;
+}
+
+// Directory titles are upper case ("CHANDIGARH"); match the API's "Chandigarh"
+function toTitle(text) {
+    return String(text || '').trim().toLowerCase().replace(/(^|[\s(\-\/.])([a-z])/g, (m, p, c) => p + c.toUpperCase());
+}
+
+// Office names carry a type suffix in the directory ("Sector 40 S.O", "Burail B.O")
+function cleanOfficeName(name) {
+    return toTitle(name).replace(/\s+(?:b\.?o|s\.?o|h\.?o|g\.?p\.?o)\.?$/i, '').trim();
+}
+
+function buildDirectory(rows) {
+    const [header, ...records] = rows;
+    const columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+        columns[field] = findColumn(header.map(h => h.replace(/^\uFEFF/, '')), COLUMN_ALIASES[field]);
+    });
+
+    ['pin', 'name', 'district', 'state'].forEach(field => {
+        if (columns[field] === -1) throw new Error(`CSV is missing a "${COLUMN_ALIASES[field][0]}" column.`);
+    });
+
+    const directory = {};
+    records.forEach(record => {
+        const pin = String(record[columns.pin] || '').trim();
+        if (!/^\d{6}$/.test(pin)) return;
+
+        const entry = {
+            Name: cleanOfficeName(record[columns.name]),
+            Taluk: columns.taluk === -1 ? '' : toTitle(record[columns.taluk]),
+            District: toTitle(record[columns.district]),
+            State: toTitle(record[columns.state]),
+        };
+        if (entry.Taluk.toUpperCase() === 'NA') entry.Taluk = '';
+        const coordinates = readCoordinates(record, columns);
+        if (coordinates) [entry.Latitude, entry.Longitude] = coordinates;
+
+        directory[pin] = directory[pin] || [];
+        if (!directory[pin].some(po => po.Name === entry.Name)) directory[pin].push(entry);
+    });
+    return directory;
+}
+
+function main() {
+    const [inputPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+    if (!inputPath) {
+        console.error("Usage: node scripts/import-pincode-directory.js <directory.csv> [output.json]");
+        process.exit(1);
+    }
+
+    const directory = buildDirectory(parseCsv(fs.readFileSync(inputPath, 'utf8')));
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(directory));
+
+    const pinCount = Object.keys(directory).length;
+    const officeCount = Object.values(directory).reduce((sum, list) => sum + list.length, 0);
+    console.log(`Imported ${officeCount} post offices across ${pinCount} PINs into ${outputPath}`);
+}
+
+main();
@@ -0,0 +1,81 @@
+// scripts/import-serviceability.js
+// Imports one courier's serviceable-PIN list into the serviceability matrix the
+// API reads (api/_data/serviceability.json). Run once per courier; importing a
+// courier again replaces its list and keeps the others.
+//
+// CSV columns (recognised by header): PIN, COD allowed, prepaid allowed, ODA flag, zone.
+// Flags accept Y/N, Yes/No, True/False and 1/0; missing COD/prepaid columns mean allowed.
+//
+// Usage: node scripts/import-serviceability.js <courier> <pins.csv> [matrix.json]
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, findColumn } = require('./csv');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'api', '_data', 'serviceability.json');
+
+const COLUMN_ALIASES = {
+    pin: ['pin', 'pincode', 'pin code', 'postcode', 'zip'],
+    cod: ['cod allowed', 'cod', 'is cod', 'cod available'],
+    prepaid: ['prepaid allowed', 'prepaid', 'is prepaid', 'prepaid available'],
+    oda: ['oda flag', 'oda', 'is oda', 'out of delivery area'],
+    zone: ['zone', 'zone code', 'courier zone'],
+};
+
+function readFlag(value, fallback) {
+    const text = String(value === undefined ? '' : value).trim().toLowerCase();
+    if (['y', 'yes', 'true', '1'].includes(text)) return true;
+    if (['n', 'no', 'false', '0'].includes(text)) return false;
+    return fallback;
+}
+
+// Same normalization as the API, so "Blue Dart" and "bluedart" are one courier
+function courierKey(name) {
+    return String(name || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function buildCourierList(rows) {
+    const [header, ...records] = rows;
+    const columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+        columns[field] = findColumn(header.map(h => h.replace(/^\uFEFF/, '').replace(/_/g, ' ')), COLUMN_ALIASES[field]);
+    });
+    if (columns.pin === -1) throw new Error(`CSV is missing a "${COLUMN_ALIASES.pin[0]}" column.`);
+
+    const list = {};
+    records.forEach(record => {
+        const pin = String(record[columns.pin] || '').trim();
+        if (!/^\d{6}$/.test(pin)) return;
+        list[pin] = {
+            cod: columns.cod === -1 ? true : readFlag(record[columns.cod], false),
+            prepaid: columns.prepaid === -1 ? true : readFlag(record[columns.prepaid], false),
+            oda: columns.oda === -1 ? false : readFlag(record[columns.oda], false),
+            zone: columns.zone === -1 ? null : (String(record[columns.zone] || '').trim().toUpperCase() || null),
+        };
+    });
+    return list;
+}
+
+function main() {
+    const [courier, inputPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+    if (!courier || !inputPath) {
+        console.error("Usage: node scripts/import-serviceability.js <courier> <pins.csv> [matrix.json]");
+        process.exit(1);
+    }
+
+    let matrix = {};
+    try {
+        matrix = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    const list = buildCourierList(parseCsv(fs.readFileSync(inputPath, 'utf8')));
+    matrix[courierKey(courier)] = list;
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(matrix));
+
+    console.log(`Imported ${Object.keys(list).length} PINs for ${courierKey(courier)} into ${outputPath} (${Object.keys(matrix).length} couriers in total)`);
+}
+
+main();